@@ -0,0 +1,292 @@
+// Acne Inflammation & Healing Simulation - Agent-Based Cells
+// An alternative to the aggregate bacteria and neutrophil levels: individual C. acnes
+// and neutrophils moving, dividing, engulfing and dying inside the follicle. The agents
+// are driven by the simulation's own rates (see AcneSimulation.getBacteriaRates and
+// getNeutrophilRates), and AcneSimulation reads its levels back from the agent counts,
+// so cytokines, pus and the stage transitions run on top of them unchanged. Unlike the
+// aggregate model, neutrophils here actually kill the bacteria they reach.
+//
+// Positions are in a normalised follicle: a cylinder of radius 1 around the y axis,
+// from the base of the follicle (y = 0) up to the pore (y = 1).
+
+import { createRandom, randomBetween } from './random.js';
+
+const DEFAULTS = {
+    seed: 1,
+    bacteriaCapacity: 300, // bacteria at level 100
+    neutrophilCapacity: 120, // neutrophils at level 100
+    bacteriaDrift: 0.05, // random-walk step per √hour; C. acnes can't swim, but sebum carries it
+    neutrophilSpeed: 0.3, // follicle radii per hour towards the nearest bacterium
+    neutrophilWander: 0.2, // random-walk step per √hour on top of chemotaxis
+    contactRadius: 0.08, // distance at which a neutrophil can engulf a bacterium
+    engulfRate: 0.15, // engulfments per hour in contact; bacteria in the sebum are hard to get hold of
+    digestionTime: 2, // hours a neutrophil spends digesting each bacterium
+    killsPerNeutrophil: 5, // bacteria a neutrophil engulfs before it dies
+    neutrophilLifespan: 48 // mean hours a neutrophil survives in the tissue
+};
+
+export class AgentModel {
+    constructor(options = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.clear();
+    }
+
+    // Remove every agent and restart the random sequence
+    clear() {
+        this.random = createRandom(this.options.seed);
+        this.bacteria = []; // { x, y, z, resistant, dead }
+        this.neutrophils = []; // { x, y, z, kills, digesting, target }
+    }
+
+    // Add or remove agents at random until their counts match the given levels (0-100)
+    populate({ susceptible, resistant, neutrophils }) {
+        const { bacteriaCapacity, neutrophilCapacity } = this.options;
+
+        this.resize(this.bacteria, b => !b.resistant, toCount(susceptible, bacteriaCapacity),
+            () => this.createBacterium(this.randomPosition(), false));
+        this.resize(this.bacteria, b => b.resistant, toCount(resistant, bacteriaCapacity),
+            () => this.createBacterium(this.randomPosition(), true));
+        this.resize(this.neutrophils, () => true, toCount(neutrophils, neutrophilCapacity),
+            () => this.createNeutrophil(this.randomPosition()));
+    }
+
+    // Grow or shrink the agents in list that match filter to count
+    resize(list, filter, count, create) {
+        const matching = list.filter(filter);
+        while (matching.length > count) {
+            const [removed] = matching.splice(Math.floor(this.random() * matching.length), 1);
+            list.splice(list.indexOf(removed), 1);
+        }
+        for (let i = matching.length; i < count; i++) {
+            list.push(create());
+        }
+    }
+
+    // Levels (0-100) corresponding to the current agent counts
+    getLevels() {
+        const { bacteriaCapacity, neutrophilCapacity } = this.options;
+        const resistant = this.bacteria.filter(b => b.resistant).length;
+
+        return {
+            susceptible: (this.bacteria.length - resistant) / bacteriaCapacity * 100,
+            resistant: resistant / bacteriaCapacity * 100,
+            neutrophils: this.neutrophils.length / neutrophilCapacity * 100
+        };
+    }
+
+    // Agent counts: { bacteria, resistant, neutrophils }
+    getCounts() {
+        return {
+            bacteria: this.bacteria.length,
+            resistant: this.bacteria.filter(b => b.resistant).length,
+            neutrophils: this.neutrophils.length
+        };
+    }
+
+    // Plain copies of the agent positions for rendering
+    getPositions() {
+        return {
+            bacteria: this.bacteria.map(({ x, y, z, resistant }) => ({ x, y, z, resistant })),
+            neutrophils: this.neutrophils.map(({ x, y, z, digesting }) => ({ x, y, z, digesting: digesting > 0 }))
+        };
+    }
+
+    // Advance the agents by dt simulated hours at the simulation's current rates. Like the
+    // rest of the model, the neutrophils work faster with the progression accelerator.
+    step(simulation, dt) {
+        const levels = this.getLevels();
+
+        // Bacteria only colonise, grow and die once a comedone has formed, as in the ODE
+        if (simulation.simulationStage !== "incubation") {
+            this.stepBacteria(simulation.getBacteriaRates(levels.susceptible + levels.resistant), dt);
+        }
+
+        this.stepNeutrophils(simulation.getNeutrophilRates(
+            simulation.currentIL8Level, levels.neutrophils, simulation.currentMacrophageLevel, simulation.currentCapsuleLevel
+        ), levels.neutrophils, dt, simulation.progressionAccelerator, simulation.currentInflammationLevel / 100);
+
+        this.bacteria = this.bacteria.filter(b => !b.dead);
+    }
+
+    // Bacteria die, drift and divide; new ones colonise the plug
+    stepBacteria(rates, dt) {
+        const random = this.random;
+        const drift = this.options.bacteriaDrift * Math.sqrt(dt);
+        const susceptibleDeathChance = chance(rates.susceptibleDeath, dt);
+        const resistantDeathChance = chance(rates.resistantDeath, dt);
+        const daughters = [];
+
+        this.bacteria.forEach(bacterium => {
+            if (random() < (bacterium.resistant ? resistantDeathChance : susceptibleDeathChance)) {
+                bacterium.dead = true;
+                return;
+            }
+            this.wander(bacterium, drift);
+
+            // A susceptible bacterium's daughter occasionally mutates to resistance
+            const growth = bacterium.resistant ? rates.resistantGrowth : rates.susceptibleGrowth;
+            if (random() < chance(growth, dt)) {
+                const resistant = bacterium.resistant || random() < rates.mutation;
+                daughters.push(this.createBacterium(this.nearby(bacterium, 0.05), resistant));
+            }
+        });
+
+        const arrivals = randomCount(random, rates.colonisation * dt / 100 * this.options.bacteriaCapacity);
+        for (let i = 0; i < arrivals; i++) {
+            daughters.push(this.createBacterium(this.randomPosition(), random() < rates.resistantColonisation));
+        }
+
+        this.bacteria.push(...daughters);
+    }
+
+    // Neutrophils arrive through the follicle wall, chase and engulf bacteria, and die
+    // once spent, after their lifespan, or when macrophages and repair clear them
+    stepNeutrophils(rates, level, dt, pace, reach) {
+        const random = this.random;
+        const { neutrophilSpeed, neutrophilWander, contactRadius, engulfRate, digestionTime, killsPerNeutrophil, neutrophilLifespan } = this.options;
+        const activeDt = dt * pace;
+        const deathChance = chance((level > 0 ? rates.clearance / level : 0) + pace / neutrophilLifespan, dt);
+        const engulfChance = chance(engulfRate, activeDt);
+        const wander = neutrophilWander * Math.sqrt(activeDt);
+
+        const arrivals = randomCount(random, rates.recruitment * dt / 100 * this.options.neutrophilCapacity);
+        for (let i = 0; i < arrivals; i++) {
+            this.neutrophils.push(this.createNeutrophil(this.wallPosition()));
+        }
+
+        this.neutrophils = this.neutrophils.filter(neutrophil => {
+            if (random() < deathChance) return false;
+
+            if (neutrophil.digesting > 0) {
+                neutrophil.digesting -= activeDt;
+                return true;
+            }
+
+            if (!neutrophil.target || neutrophil.target.dead) {
+                neutrophil.target = this.nearestBacterium(neutrophil);
+            }
+
+            const target = neutrophil.target;
+            if (!target) {
+                this.wander(neutrophil, wander);
+                keepNearWall(neutrophil, reach);
+                return true;
+            }
+
+            // Chemotaxis towards the target, engulfing it on contact
+            const dx = target.x - neutrophil.x;
+            const dy = target.y - neutrophil.y;
+            const dz = target.z - neutrophil.z;
+            const distance = Math.hypot(dx, dy, dz);
+            if (distance <= contactRadius) {
+                if (random() >= engulfChance) return true;
+                
+                target.dead = true;
+                neutrophil.target = null;
+                neutrophil.kills++;
+                neutrophil.digesting = digestionTime;
+                return neutrophil.kills < killsPerNeutrophil;
+            }
+
+            const stride = Math.min(distance, neutrophilSpeed * activeDt) / distance;
+            neutrophil.x += dx * stride;
+            neutrophil.y += dy * stride;
+            neutrophil.z += dz * stride;
+            this.wander(neutrophil, wander);
+            keepNearWall(neutrophil, reach);
+            return true;
+        });
+    }
+
+    // Closest living bacterium to an agent, or null
+    nearestBacterium(agent) {
+        let nearest = null;
+        let nearestDistance = Infinity;
+        this.bacteria.forEach(bacterium => {
+            if (bacterium.dead) return;
+            const distance = (bacterium.x - agent.x) ** 2 + (bacterium.y - agent.y) ** 2 + (bacterium.z - agent.z) ** 2;
+            if (distance < nearestDistance) {
+                nearest = bacterium;
+                nearestDistance = distance;
+            }
+        });
+        return nearest;
+    }
+
+    // Random step of up to size along each axis, staying inside the follicle
+    wander(agent, size) {
+        agent.x += randomBetween(this.random, -size, size);
+        agent.y += randomBetween(this.random, -size, size);
+        agent.z += randomBetween(this.random, -size, size);
+        confine(agent);
+    }
+
+    createBacterium(position, resistant) {
+        return { ...position, resistant, dead: false };
+    }
+
+    createNeutrophil(position) {
+        return { ...position, kills: 0, digesting: 0, target: null };
+    }
+
+    // Uniformly random point inside the follicle
+    randomPosition() {
+        const radius = Math.sqrt(this.random());
+        const angle = this.random() * Math.PI * 2;
+        return { x: radius * Math.cos(angle), y: this.random(), z: radius * Math.sin(angle) };
+    }
+
+    // Random point on the follicle wall
+    wallPosition() {
+        const angle = this.random() * Math.PI * 2;
+        return { x: Math.cos(angle), y: this.random(), z: Math.sin(angle) };
+    }
+
+    // Random point within distance of an agent, inside the follicle
+    nearby(agent, distance) {
+        const position = {
+            x: agent.x + randomBetween(this.random, -distance, distance),
+            y: agent.y + randomBetween(this.random, -distance, distance),
+            z: agent.z + randomBetween(this.random, -distance, distance)
+        };
+        confine(position);
+        return position;
+    }
+}
+
+// Probability of an event at a rate per hour happening within dt hours
+function chance(rate, dt) {
+    return 1 - Math.exp(-rate * dt);
+}
+
+// Whole number of events with the given expected count
+function randomCount(random, expected) {
+    return Math.floor(expected + random());
+}
+
+// Agent count for a level (0-100)
+function toCount(level, capacity) {
+    return Math.max(0, Math.round(level / 100 * capacity));
+}
+
+// Hold a neutrophil within reach (0-1 of the radius) of the follicle wall; inflammation
+// loosens the wall and lets them further into the lumen
+function keepNearWall(position, reach) {
+    const radius = Math.hypot(position.x, position.z);
+    const inner = 1 - Math.max(0, Math.min(1, reach));
+    if (radius < inner) {
+        const angle = radius > 0 ? Math.atan2(position.z, position.x) : 0;
+        position.x = inner * Math.cos(angle);
+        position.z = inner * Math.sin(angle);
+    }
+}
+
+// Pull a position back inside the follicle cylinder
+function confine(position) {
+    const radius = Math.hypot(position.x, position.z);
+    if (radius > 1) {
+        position.x /= radius;
+        position.z /= radius;
+    }
+    position.y = Math.max(0, Math.min(1, position.y));
+}
@@ -0,0 +1,154 @@
+// Acne Inflammation & Healing Simulation - Charts
+// Minimal canvas line chart for plotting simulation curves (drug levels,
+// cytokines, ...) without pulling in a charting library.
+
+const DEFAULT_COLORS = ['#d9534f', '#5bc0de', '#5cb85c', '#f0ad4e', '#9b59b6', '#34495e'];
+
+export class LineChart {
+    // options: { xLabel, yLabel, yMin, yMax (fixed axis, otherwise fitted to the data), padding }
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = {
+            xLabel: '',
+            yLabel: '',
+            yMin: 0,
+            yMax: null,
+            padding: { top: 18, right: 8, bottom: 22, left: 34 },
+            ...options
+        };
+        this.series = [];
+        this.marker = null;
+    }
+
+    // Replace the plotted series: [{ label, color, points: [{ x, y }] }]
+    setSeries(series) {
+        this.series = series;
+    }
+
+    // Vertical marker line at x (e.g. the current time); null hides it
+    setMarker(x) {
+        this.marker = x;
+    }
+
+    // Data range covered by all series
+    getBounds() {
+        let xMin = Infinity;
+        let xMax = -Infinity;
+        let yMax = -Infinity;
+
+        this.series.forEach(({ points }) => {
+            points.forEach(({ x, y }) => {
+                xMin = Math.min(xMin, x);
+                xMax = Math.max(xMax, x);
+                yMax = Math.max(yMax, y);
+            });
+        });
+
+        if (!Number.isFinite(xMin)) {
+            xMin = 0;
+            xMax = 1;
+        }
+        if (xMax === xMin) xMax = xMin + 1;
+
+        const yMin = this.options.yMin;
+        yMax = this.options.yMax !== null ? this.options.yMax : Math.max(yMax, yMin + 1e-6) * 1.1;
+
+        return { xMin, xMax, yMin, yMax };
+    }
+
+    // Redraw the whole chart
+    draw() {
+        const { context: ctx, canvas } = this;
+        const { padding, xLabel, yLabel } = this.options;
+        const { xMin, xMax, yMin, yMax } = this.getBounds();
+
+        const plotWidth = canvas.width - padding.left - padding.right;
+        const plotHeight = canvas.height - padding.top - padding.bottom;
+        const toX = x => padding.left + ((x - xMin) / (xMax - xMin)) * plotWidth;
+        const toY = y => padding.top + plotHeight - ((y - yMin) / (yMax - yMin)) * plotHeight;
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+
+        // Grid and axis labels
+        ctx.strokeStyle = '#e3e3e3';
+        ctx.fillStyle = '#666';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = yMin + ((yMax - yMin) * i) / 4;
+            const y = toY(value);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, y);
+            ctx.lineTo(padding.left + plotWidth, y);
+            ctx.stroke();
+            ctx.fillText(formatTick(value), padding.left - 4, y);
+        }
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        for (let i = 0; i <= 4; i++) {
+            const value = xMin + ((xMax - xMin) * i) / 4;
+            ctx.fillText(formatTick(value), toX(value), padding.top + plotHeight + 3);
+        }
+        if (xLabel) {
+            ctx.textAlign = 'right';
+            ctx.fillText(xLabel, padding.left + plotWidth, padding.top + plotHeight + 12);
+        }
+        if (yLabel) {
+            ctx.textAlign = 'left';
+            ctx.fillText(yLabel, 2, 2);
+        }
+
+        // Series
+        this.series.forEach(({ points, color }, index) => {
+            if (points.length === 0) return;
+
+            ctx.strokeStyle = color || DEFAULT_COLORS[index % DEFAULT_COLORS.length];
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            points.forEach(({ x, y }, i) => {
+                const px = toX(x);
+                const py = toY(Math.min(y, yMax));
+                if (i === 0) {
+                    ctx.moveTo(px, py);
+                } else {
+                    ctx.lineTo(px, py);
+                }
+            });
+            ctx.stroke();
+        });
+
+        // Marker
+        if (this.marker !== null && this.marker >= xMin && this.marker <= xMax) {
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.moveTo(toX(this.marker), padding.top);
+            ctx.lineTo(toX(this.marker), padding.top + plotHeight);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // Legend
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        let legendY = padding.top + 2;
+        this.series.forEach(({ label, color }, index) => {
+            if (!label) return;
+            ctx.fillStyle = color || DEFAULT_COLORS[index % DEFAULT_COLORS.length];
+            ctx.fillText(label, padding.left + plotWidth - 2, legendY);
+            legendY += 11;
+        });
+    }
+}
+
+// Short axis tick text
+function formatTick(value) {
+    if (Math.abs(value) >= 100) return value.toFixed(0);
+    if (Math.abs(value) >= 10) return value.toFixed(1).replace(/\.0$/, '');
+    return value.toFixed(2).replace(/\.?0+$/, '') || '0';
+}
@@ -0,0 +1,95 @@
+// Acne Inflammation & Healing Simulation - Topical Coverage
+// Where a topical product goes when it is applied, as a mask over the skin: 1 where
+// every application covers the skin and 0 where it is missed. The mask is painted
+// with a brush, or filled for a full-face application. AcneSimulation scales each
+// topical dose reaching a follicle by the coverage at its position, so spot treatment
+// and missed patches change the local drug levels.
+//
+// Like the dermal field, the mask is a grid in scene units centred on the follicle.
+// It starts fully covered, which is how topicals worked before they could be painted.
+
+const DEFAULTS = {
+    size: 64, // cells along each side
+    extent: 8 // side length in scene units, centred on the follicle
+};
+
+// Share of the brush radius over which a stroke fades out at its edge
+const BRUSH_SOFTNESS = 0.3;
+
+export class CoverageMask {
+    constructor(options = {}) {
+        const { size, extent } = { ...DEFAULTS, ...options };
+        this.size = size;
+        this.extent = extent;
+        this.cellSize = extent / size;
+        this.values = new Float32Array(size * size).fill(1);
+    }
+
+    // Set the whole mask, e.g. fill(1) for a full-face application or fill(0) to start over
+    fill(value) {
+        this.values.fill(clamp(value));
+    }
+
+    // A brush stroke of the given radius at (x, z) in scene units relative to the follicle.
+    // Adds amount of coverage under the brush with a soft edge; a negative amount wipes it off.
+    paint(x, z, radius, amount = 1) {
+        const { size, cellSize, extent } = this;
+        if (!(radius > 0)) return;
+
+        for (let row = 0; row < size; row++) {
+            const cellZ = (row + 0.5) * cellSize - extent / 2;
+            for (let column = 0; column < size; column++) {
+                const cellX = (column + 0.5) * cellSize - extent / 2;
+                const distance = Math.hypot(cellX - x, cellZ - z) / radius;
+                if (distance >= 1) continue;
+
+                const weight = Math.min(1, (1 - distance) / BRUSH_SOFTNESS);
+                const i = row * size + column;
+                this.values[i] = clamp(this.values[i] + amount * weight);
+            }
+        }
+    }
+
+    // Bilinear sample of the coverage at (x, z) in scene units relative to the follicle
+    // (0 outside the mask)
+    sample(x, z) {
+        const { size, cellSize, extent, values } = this;
+        const u = (x + extent / 2) / cellSize - 0.5;
+        const v = (z + extent / 2) / cellSize - 0.5;
+        if (u < -0.5 || v < -0.5 || u > size - 0.5 || v > size - 0.5) return 0;
+
+        const column = Math.max(0, Math.min(size - 2, Math.floor(u)));
+        const row = Math.max(0, Math.min(size - 2, Math.floor(v)));
+        const fu = Math.max(0, Math.min(1, u - column));
+        const fv = Math.max(0, Math.min(1, v - row));
+        const i = row * size + column;
+
+        const top = values[i] * (1 - fu) + values[i + 1] * fu;
+        const bottom = values[i + size] * (1 - fu) + values[i + size + 1] * fu;
+        return top * (1 - fv) + bottom * fv;
+    }
+
+    // Share of the whole mask that is covered (0-1)
+    getAverage() {
+        return this.values.reduce((sum, value) => sum + value, 0) / this.values.length;
+    }
+
+    toJSON() {
+        return { size: this.size, extent: this.extent, values: Array.from(this.values) };
+    }
+
+    // Load a toJSON() snapshot; a missing one, or one from a differently sized grid, leaves
+    // the mask fully covered
+    restore(data) {
+        this.fill(1);
+        if (!data || data.size !== this.size || data.extent !== this.extent) return;
+
+        if (Array.isArray(data.values) && data.values.length === this.size * this.size) {
+            this.values.set(data.values.map(value => clamp(Number(value) || 0)));
+        }
+    }
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(1, value));
+}
@@ -0,0 +1,207 @@
+// Acne Inflammation & Healing Simulation - Dermal Field
+// Bacteria, cytokines and inflammation spread through the dermis around the
+// follicle on a 2D grid, solved as a reaction-diffusion system. The follicle sits
+// at the centre; once its wall breaks, AcneSimulation injects its contents here.
+// All three fields are levels from 0 to 100, like the follicle's own state.
+//
+// Diffusion uses an explicit five-point scheme, sub-stepped so it stays stable
+// whatever step it is given; the grid edges are closed (no flux). Collagen in the
+// dermis runs mostly one way (along the skin's tension lines), so everything
+// spreads faster along x than along z and an inflamed area grows into an oval.
+
+// Field channels
+export const DERMIS_CHANNELS = ["bacteria", "cytokines", "inflammation"];
+
+const DEFAULTS = {
+    size: 32, // cells along each side
+    extent: 4, // side length in scene units, centred on the follicle
+    diffusion: { bacteria: 0.001, cytokines: 0.005, inflammation: 0.002 }, // scene units² per hour
+    anisotropy: 0.5, // diffusion is (1 + anisotropy) times faster along x and (1 - anisotropy) along z
+    bacteriaGrowthRate: 0.05, // logistic growth per hour
+    bacteriaClearanceRate: 0.04, // cleared per hour by resident immune cells
+    bacteriaKillRate: 0.3, // killed per hour at full inflammation
+    cytokineReleaseRate: 20, // released per hour at full bacterial activation
+    cytokineHalfActivation: 40, // bacteria level giving half the release
+    cytokineDecayRate: 0.3, // fraction cleared per hour
+    inflammationRate: 5, // inflammation per hour at full cytokine level
+    inflammationResolutionRate: 0.05 // fraction resolving per hour
+};
+
+export class DermisField {
+    constructor(options = {}) {
+        this.options = {
+            ...DEFAULTS,
+            ...options,
+            diffusion: { ...DEFAULTS.diffusion, ...options.diffusion }
+        };
+
+        const { size, extent } = this.options;
+        this.size = size;
+        this.extent = extent;
+        this.cellSize = extent / size;
+
+        this.fields = {};
+        this.scratch = new Float32Array(size * size);
+        DERMIS_CHANNELS.forEach(channel => {
+            this.fields[channel] = new Float32Array(size * size);
+        });
+    }
+
+    // Empty the dermis
+    clear() {
+        DERMIS_CHANNELS.forEach(channel => this.fields[channel].fill(0));
+    }
+
+    // Add amounts ({ bacteria, cytokines, inflammation }) around (x, z) in scene units relative to
+    // the follicle, spread as a Gaussian of the given radius. amounts are the peak added at (x, z).
+    inject(x, z, amounts, radius = 0.25) {
+        const { size, cellSize, extent } = this;
+        const spread = 2 * radius * radius;
+
+        for (let row = 0; row < size; row++) {
+            const cellZ = (row + 0.5) * cellSize - extent / 2;
+            for (let column = 0; column < size; column++) {
+                const cellX = (column + 0.5) * cellSize - extent / 2;
+                const weight = Math.exp(-((cellX - x) ** 2 + (cellZ - z) ** 2) / spread);
+                if (weight < 1e-4) continue;
+
+                const i = row * size + column;
+                DERMIS_CHANNELS.forEach(channel => {
+                    if (amounts[channel]) {
+                        this.fields[channel][i] = Math.min(100, this.fields[channel][i] + amounts[channel] * weight);
+                    }
+                });
+            }
+        }
+    }
+
+    // Advance the field by dt hours
+    step(dt) {
+        if (dt <= 0) return;
+
+        const maxDiffusion = Math.max(...Object.values(this.options.diffusion));
+        const stableStep = (this.cellSize * this.cellSize) / (4 * maxDiffusion * (1 + Math.abs(this.options.anisotropy)));
+        const substeps = Math.ceil(dt / stableStep);
+        const h = dt / substeps;
+
+        for (let n = 0; n < substeps; n++) {
+            this.react(h);
+            DERMIS_CHANNELS.forEach(channel => this.diffuse(channel, h));
+        }
+    }
+
+    // Local reactions in every cell over h hours
+    react(h) {
+        const o = this.options;
+        const { bacteria, cytokines, inflammation } = this.fields;
+
+        for (let i = 0; i < bacteria.length; i++) {
+            const b = bacteria[i];
+            const c = cytokines[i];
+            const f = inflammation[i];
+
+            const dB = o.bacteriaGrowthRate * b * (1 - b / 100) - (o.bacteriaClearanceRate + o.bacteriaKillRate * f / 100) * b;
+            const dC = o.cytokineReleaseRate * b / (b + o.cytokineHalfActivation) - o.cytokineDecayRate * c;
+            const dF = o.inflammationRate * (c / 100) * (1 - f / 100) - o.inflammationResolutionRate * f;
+
+            bacteria[i] = clamp(b + dB * h);
+            cytokines[i] = clamp(c + dC * h);
+            inflammation[i] = clamp(f + dF * h);
+        }
+    }
+
+    // Diffuse one channel over h hours (five-point Laplacian, closed edges)
+    diffuse(channel, h) {
+        const { size } = this;
+        const field = this.fields[channel];
+        const next = this.scratch;
+        const rate = (this.options.diffusion[channel] * h) / (this.cellSize * this.cellSize);
+        const rateX = rate * (1 + this.options.anisotropy);
+        const rateZ = rate * (1 - this.options.anisotropy);
+
+        for (let row = 0; row < size; row++) {
+            for (let column = 0; column < size; column++) {
+                const i = row * size + column;
+                const value = field[i];
+                const left = column > 0 ? field[i - 1] : value;
+                const right = column < size - 1 ? field[i + 1] : value;
+                const up = row > 0 ? field[i - size] : value;
+                const down = row < size - 1 ? field[i + size] : value;
+                next[i] = value + rateX * (left + right - 2 * value) + rateZ * (up + down - 2 * value);
+            }
+        }
+
+        field.set(next);
+    }
+
+    // Bilinear sample of a channel at (x, z) in scene units relative to the follicle (0 outside the grid)
+    sample(channel, x, z) {
+        const { size, cellSize, extent } = this;
+        const u = (x + extent / 2) / cellSize - 0.5;
+        const v = (z + extent / 2) / cellSize - 0.5;
+        if (u < -0.5 || v < -0.5 || u > size - 0.5 || v > size - 0.5) return 0;
+
+        const column = Math.max(0, Math.min(size - 2, Math.floor(u)));
+        const row = Math.max(0, Math.min(size - 2, Math.floor(v)));
+        const fu = Math.max(0, Math.min(1, u - column));
+        const fv = Math.max(0, Math.min(1, v - row));
+        const field = this.fields[channel];
+        const i = row * size + column;
+
+        const top = field[i] * (1 - fu) + field[i + 1] * fu;
+        const bottom = field[i + size] * (1 - fu) + field[i + size + 1] * fu;
+        return top * (1 - fv) + bottom * fv;
+    }
+
+    // How far a channel reaches above threshold from the follicle along evenly spaced directions
+    // (the first along +x, turning towards +z), as a fraction of the field's radius (0-1)
+    getSpread(channel, threshold, directions = 16) {
+        const radius = this.extent / 2;
+        const stride = this.cellSize / 2;
+        const spread = [];
+
+        for (let d = 0; d < directions; d++) {
+            const angle = (d / directions) * Math.PI * 2;
+            const dx = Math.cos(angle);
+            const dz = Math.sin(angle);
+
+            let reach = 0;
+            for (let r = 0; r <= radius; r += stride) {
+                if (this.sample(channel, dx * r, dz * r) < threshold) break;
+                reach = r;
+            }
+            spread.push(reach / radius);
+        }
+        return spread;
+    }
+
+    // Highest level of a channel anywhere in the dermis
+    getPeak(channel) {
+        return this.fields[channel].reduce((peak, value) => Math.max(peak, value), 0);
+    }
+
+    toJSON() {
+        const fields = {};
+        DERMIS_CHANNELS.forEach(channel => {
+            fields[channel] = Array.from(this.fields[channel]);
+        });
+        return { size: this.size, extent: this.extent, fields };
+    }
+
+    // Load a toJSON() snapshot; one from a differently sized grid leaves the dermis empty
+    restore(data) {
+        this.clear();
+        if (!data || data.size !== this.size || data.extent !== this.extent) return;
+
+        DERMIS_CHANNELS.forEach(channel => {
+            const values = data.fields && data.fields[channel];
+            if (Array.isArray(values) && values.length === this.size * this.size) {
+                this.fields[channel].set(values);
+            }
+        });
+    }
+}
+
+function clamp(value) {
+    return Math.max(0, Math.min(100, value));
+}
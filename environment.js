@@ -0,0 +1,304 @@
+// Acne Inflammation & Healing Simulation - Environment Schedules
+// Temperature, humidity and friction that change over simulated time, such as a daily
+// temperature cycle, a humid summer or a face mask worn for part of each day. Each
+// schedule entry drives one factor:
+//   daily  - { factor, kind: "daily", mean, amplitude, peakHour }: a 24-hour cosine cycle
+//            peaking at peakHour
+//   block  - { factor, kind: "block", value, startHour, hours }: value for `hours` hours
+//            from startHour each day, e.g. a mask worn 8 hours a day
+//   series - { factor, kind: "series", points: [[hour, value], ...], repeatHours }: linear
+//            interpolation between recorded points, held at the ends or repeated every
+//            repeatHours (e.g. 24 for a daily profile)
+// Any entry can be limited to whole days with startDay and durationDays (0 or null means
+// it never ends), like a treatment. Values use the sliders' 0-1000 scale. Where entries
+// for the same factor overlap the later one wins, and where none applies the slider value
+// is used, so a mask block sits on top of whatever the friction slider says.
+
+// Scheduled factors and the slider each one stands in for
+export const ENVIRONMENT_FACTORS = {
+    temperature: "temperatureValue",
+    humidity: "humidityValue",
+    friction: "frictionValue"
+};
+
+export const ENVIRONMENT_KINDS = ["daily", "block", "series"];
+
+// Ready-made schedules
+export const ENVIRONMENT_PRESETS = {
+    dailyTemperature: {
+        label: "Daily temperature cycle",
+        entries: [
+            { factor: "temperature", kind: "daily", mean: 500, amplitude: 150, peakHour: 15 }
+        ]
+    },
+    houstonSummer: {
+        label: "Summer in Houston",
+        // Hot afternoons and muggy nights; relative humidity peaks around dawn
+        entries: [
+            { factor: "temperature", kind: "daily", mean: 750, amplitude: 150, peakHour: 16 },
+            { factor: "humidity", kind: "daily", mean: 850, amplitude: 120, peakHour: 6 }
+        ]
+    },
+    dryWinter: {
+        label: "Dry winter, heated indoors",
+        entries: [
+            { factor: "temperature", kind: "daily", mean: 350, amplitude: 100, peakHour: 14 },
+            { factor: "humidity", kind: "daily", mean: 200, amplitude: 50, peakHour: 6 }
+        ]
+    },
+    mask8h: {
+        label: "Mask worn 8 h/day",
+        // Rubbing and trapped breath under the mask
+        entries: [
+            { factor: "friction", kind: "block", value: 800, startHour: 9, hours: 8 },
+            { factor: "humidity", kind: "block", value: 800, startHour: 9, hours: 8 }
+        ]
+    },
+    sportsHelmet: {
+        label: "Helmet at training, 2 h/day",
+        entries: [
+            { factor: "friction", kind: "block", value: 900, startHour: 18, hours: 2 },
+            { factor: "temperature", kind: "block", value: 750, startHour: 18, hours: 2 }
+        ]
+    }
+};
+
+export class EnvironmentSchedule {
+    constructor(entries = []) {
+        this.entries = [];
+        this.nextId = 1;
+
+        entries.forEach(entry => this.add(entry));
+    }
+
+    // Schedule an entry (see the kinds above). Returns the stored entry, or null if invalid.
+    add(entry) {
+        const normalised = normaliseEntry(entry);
+        if (!normalised) {
+            console.error(`Invalid environment entry: ${JSON.stringify(entry)}`);
+            return null;
+        }
+
+        normalised.id = this.nextId++;
+        this.entries.push(normalised);
+        return normalised;
+    }
+
+    // Remove an entry by id; returns whether it existed
+    remove(id) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        return this.entries.length !== count;
+    }
+
+    // Remove every entry
+    clear() {
+        this.entries = [];
+    }
+
+    // Copy of the schedule
+    getEntries() {
+        return this.entries.map(entry => ({
+            ...entry,
+            ...(entry.points ? { points: entry.points.map(point => [...point]) } : {})
+        }));
+    }
+
+    // Scheduled value of a factor at simulated hour t, or null where no entry applies
+    valueAt(factor, t) {
+        let value = null;
+        this.entries.forEach(entry => {
+            if (entry.factor !== factor || !isActiveDay(entry, t)) return;
+
+            const entryValue = entryValueAt(entry, t);
+            if (entryValue !== null) {
+                value = entryValue;
+            }
+        });
+        return value;
+    }
+
+    // Every factor at simulated hour t, falling back to sliders ({ temperature, humidity, friction })
+    getValues(t, sliders) {
+        const values = {};
+        Object.keys(ENVIRONMENT_FACTORS).forEach(factor => {
+            const value = this.valueAt(factor, t);
+            values[factor] = value === null ? sliders[factor] : value;
+        });
+        return values;
+    }
+
+    toJSON() {
+        return { entries: this.getEntries() };
+    }
+
+    // Replace the schedule with a toJSON() snapshot
+    restore(data) {
+        this.entries = [];
+        this.nextId = 1;
+
+        (data.entries || []).forEach(entry => {
+            const added = this.add(entry);
+            if (added && Number.isInteger(entry.id)) {
+                added.id = entry.id;
+                this.nextId = Math.max(this.nextId, entry.id + 1);
+            }
+        });
+    }
+}
+
+// Entries from CSV text with a time column ("hour" or "day") and one or more factor
+// columns, e.g. "hour,temperature,humidity". Each factor column becomes a series entry;
+// empty cells are skipped. Lines starting with # are comments. Unless repeatHours is given,
+// an hourly profile that fits within one day repeats daily. Throws on a malformed file.
+export function parseEnvironmentCSV(text, { repeatHours } = {}) {
+    const rows = text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith("#"))
+        .map(line => line.split(",").map(cell => cell.trim()));
+
+    if (rows.length < 2) {
+        throw new Error("Environment CSV needs a header row and at least one data row");
+    }
+
+    const header = rows[0].map(name => name.toLowerCase());
+    const timeColumn = header.findIndex(name => name === "hour" || name === "day");
+    if (timeColumn < 0) {
+        throw new Error('Environment CSV needs an "hour" or "day" column');
+    }
+    const hoursPerUnit = header[timeColumn] === "day" ? 24 : 1;
+
+    const columns = header
+        .map((name, index) => ({ factor: name, index }))
+        .filter(({ factor }) => factor in ENVIRONMENT_FACTORS);
+    if (columns.length === 0) {
+        throw new Error(`Environment CSV needs a column for one of: ${Object.keys(ENVIRONMENT_FACTORS).join(", ")}`);
+    }
+
+    if (repeatHours === undefined) {
+        const dailyProfile = hoursPerUnit === 1 && rows.slice(1).every(row => parseFloat(row[timeColumn]) <= 24);
+        repeatHours = dailyProfile ? 24 : null;
+    }
+
+    const entries = columns.map(({ factor, index }) => {
+        const points = [];
+        rows.slice(1).forEach((row, i) => {
+            if (row[index] === undefined || row[index] === "") return;
+
+            const time = parseFloat(row[timeColumn]) * hoursPerUnit;
+            const value = parseFloat(row[index]);
+            if (!Number.isFinite(time) || !Number.isFinite(value)) {
+                throw new Error(`Environment CSV line ${i + 2}: "${row.join(",")}" is not a number`);
+            }
+            points.push([time, value]);
+        });
+        return { factor, kind: "series", points, repeatHours };
+    });
+
+    return entries.filter(entry => entry.points.length > 0);
+}
+
+// Entries from JSON text: an array of entries, or an object with an entries array (such as
+// a saved EnvironmentSchedule). Throws if it can't be parsed.
+export function parseEnvironmentJSON(text) {
+    const data = JSON.parse(text);
+    const entries = Array.isArray(data) ? data : data && data.entries;
+    if (!Array.isArray(entries)) {
+        throw new Error("Environment JSON needs an array of entries");
+    }
+    return entries;
+}
+
+// Whether an entry's days include simulated hour t
+function isActiveDay(entry, t) {
+    const start = entry.startDay * 24;
+    const end = entry.durationDays ? start + entry.durationDays * 24 : Infinity;
+    return t >= start && t < end;
+}
+
+// An entry's value at simulated hour t, or null outside a block
+function entryValueAt(entry, t) {
+    const hourOfDay = ((t % 24) + 24) % 24;
+
+    switch (entry.kind) {
+        case "daily":
+            return clampValue(entry.mean + entry.amplitude * Math.cos((hourOfDay - entry.peakHour) / 24 * Math.PI * 2));
+
+        case "block": {
+            const intoBlock = ((hourOfDay - entry.startHour) % 24 + 24) % 24;
+            return intoBlock < entry.hours ? entry.value : null;
+        }
+
+        case "series": {
+            const points = entry.points;
+            let time = t - entry.startDay * 24;
+            if (entry.repeatHours) {
+                time = ((time % entry.repeatHours) + entry.repeatHours) % entry.repeatHours;
+            }
+            if (time <= points[0][0]) return points[0][1];
+
+            for (let i = 1; i < points.length; i++) {
+                const [t1, v1] = points[i];
+                if (time <= t1) {
+                    const [t0, v0] = points[i - 1];
+                    return t1 > t0 ? v0 + (v1 - v0) * (time - t0) / (t1 - t0) : v1;
+                }
+            }
+            return points[points.length - 1][1];
+        }
+    }
+    return null;
+}
+
+// Validated copy of an entry with defaults filled in, or null if it isn't usable
+function normaliseEntry(entry) {
+    if (!entry || !(entry.factor in ENVIRONMENT_FACTORS) || !ENVIRONMENT_KINDS.includes(entry.kind)) {
+        return null;
+    }
+
+    const common = {
+        factor: entry.factor,
+        kind: entry.kind,
+        startDay: Math.max(0, Number(entry.startDay) || 0),
+        durationDays: entry.durationDays > 0 ? entry.durationDays : null
+    };
+
+    switch (entry.kind) {
+        case "daily":
+            if (!Number.isFinite(entry.mean)) return null;
+            return {
+                ...common,
+                mean: clampValue(entry.mean),
+                amplitude: Number.isFinite(entry.amplitude) ? Math.abs(entry.amplitude) : 0,
+                peakHour: Number.isFinite(entry.peakHour) ? entry.peakHour : 12
+            };
+
+        case "block":
+            if (!Number.isFinite(entry.value) || !(entry.hours > 0)) return null;
+            return {
+                ...common,
+                value: clampValue(entry.value),
+                startHour: Number.isFinite(entry.startHour) ? entry.startHour : 0,
+                hours: Math.min(24, entry.hours)
+            };
+
+        case "series": {
+            if (!Array.isArray(entry.points)) return null;
+            const points = entry.points
+                .filter(point => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+                .map(([time, value]) => [time, clampValue(value)])
+                .sort((a, b) => a[0] - b[0]);
+            if (points.length === 0) return null;
+            return {
+                ...common,
+                points,
+                repeatHours: entry.repeatHours > 0 ? entry.repeatHours : null
+            };
+        }
+    }
+    return null;
+}
+
+function clampValue(value) {
+    return Math.max(0, Math.min(1000, value));
+}
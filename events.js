@@ -0,0 +1,49 @@
+// Acne Inflammation & Healing Simulation - Event Emitter
+// A small emitter restricted to a declared set of event types, so a typo in
+// an event name fails loudly instead of silently never firing.
+
+export class TypedEventEmitter {
+    constructor(eventTypes) {
+        this.handlers = new Map(eventTypes.map(type => [type, []]));
+    }
+
+    // Register a handler; returns a function that removes it again
+    on(type, handler) {
+        this.assertType(type);
+        this.handlers.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    // Register a handler that runs for the next event only
+    once(type, handler) {
+        const remove = this.on(type, payload => {
+            remove();
+            handler(payload);
+        });
+        return remove;
+    }
+
+    // Remove a handler
+    off(type, handler) {
+        this.assertType(type);
+        this.handlers.set(type, this.handlers.get(type).filter(h => h !== handler));
+    }
+
+    // Whether anyone is listening (lets callers skip building expensive payloads)
+    hasListeners(type) {
+        this.assertType(type);
+        return this.handlers.get(type).length > 0;
+    }
+
+    // Call every handler for an event type with the payload
+    emit(type, payload) {
+        this.assertType(type);
+        this.handlers.get(type).slice().forEach(handler => handler(payload));
+    }
+
+    assertType(type) {
+        if (!this.handlers.has(type)) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+    }
+}
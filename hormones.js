@@ -0,0 +1,138 @@
+// Acne Inflammation & Healing Simulation - Hormones
+// Sebaceous glands are driven by androgens, so hormones set how fast sebum is made.
+// A hormone profile combines:
+//   androgen - a baseline level, scaled by age: low in childhood, surging through
+//              puberty, peaking in the late teens and slowly declining in adulthood
+//   cycle    - an optional 28-day menstrual cycle; progesterone in the luteal phase
+//              raises sebum output, peaking in the days before menstruation
+//   cortisol - follows a stress setting with a lag of about half a day, and drives
+//              adrenal androgens on top of the baseline
+// The result is a multiplier on the simulation's sebum production (sebumFactor),
+// which is 1 for the default profile.
+
+// Profile settings. androgenValue and stressValue use the 0-1000 slider scale.
+export const HORMONE_DEFAULTS = {
+    age: 18, // years
+    androgenValue: 500,
+    cycle: false,
+    cycleDay: 1, // day of the cycle (1-28) at simulated hour 0
+    stressValue: 0
+};
+
+export const CYCLE_LENGTH = 28; // days
+
+// Phases of the menstrual cycle by their first day
+const CYCLE_PHASES = [
+    { phase: "menstrual", from: 1 },
+    { phase: "follicular", from: 6 },
+    { phase: "ovulation", from: 14 },
+    { phase: "luteal", from: 15 }
+];
+
+const REFERENCE_AGE = 18; // age at which the age profile is 1
+const LUTEAL_SEBUM_BOOST = 0.3; // extra sebum output at the premenstrual peak
+const LUTEAL_PEAK_DAY = 24; // cycle day of the peak
+const LUTEAL_PEAK_WIDTH = 3; // days (standard deviation) around the peak
+const CORTISOL_TIME_CONSTANT = 12; // simulated hours for cortisol to close most of the gap to the stress level
+const CORTISOL_ANDROGEN_BOOST = 0.3; // extra androgen at full cortisol
+
+export class HormoneProfile {
+    constructor(settings = {}) {
+        this.settings = { ...HORMONE_DEFAULTS };
+        this.set(settings);
+        this.resetCortisol();
+    }
+
+    // Change settings, e.g. set({ age: 14, cycle: true }); unknown keys and invalid values are ignored
+    set(settings) {
+        Object.entries(settings).forEach(([key, value]) => {
+            if (key === "cycle") {
+                if (typeof value === "boolean") this.settings.cycle = value;
+            } else if (key in HORMONE_DEFAULTS && Number.isFinite(value)) {
+                this.settings[key] = clampSetting(key, value);
+            }
+        });
+    }
+
+    // Copy of the settings
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    // Put cortisol at the level the current stress setting holds it at
+    resetCortisol() {
+        this.cortisol = this.settings.stressValue / 10;
+    }
+
+    // Let cortisol follow the stress setting over dt simulated hours (exact first-order lag)
+    advance(dt) {
+        if (dt <= 0) return;
+
+        const target = this.settings.stressValue / 10;
+        this.cortisol = target + (this.cortisol - target) * Math.exp(-dt / CORTISOL_TIME_CONSTANT);
+    }
+
+    // Day of the cycle (1 up to 29) at simulated hour t, or null without a cycle
+    getCycleDay(t) {
+        if (!this.settings.cycle) return null;
+        return ((this.settings.cycleDay - 1 + t / 24) % CYCLE_LENGTH + CYCLE_LENGTH) % CYCLE_LENGTH + 1;
+    }
+
+    // Hormone levels at simulated hour t:
+    // { androgen (0-100), cortisol (0-100), cycleDay, cyclePhase, sebumFactor }
+    getLevels(t) {
+        const { age, androgenValue } = this.settings;
+        const androgen = androgenValue / 10 * ageProfile(age) / ageProfile(REFERENCE_AGE) *
+                         (1 + CORTISOL_ANDROGEN_BOOST * this.cortisol / 100);
+
+        const cycleDay = this.getCycleDay(t);
+        let cyclePhase = null;
+        let cycleFactor = 1;
+        if (cycleDay !== null) {
+            cyclePhase = CYCLE_PHASES.filter(({ from }) => cycleDay >= from).pop().phase;
+
+            // Distance to the peak around the cycle, so the boost carries over into the next one
+            const offset = Math.abs(cycleDay - LUTEAL_PEAK_DAY);
+            const distance = Math.min(offset, CYCLE_LENGTH - offset);
+            cycleFactor = 1 + LUTEAL_SEBUM_BOOST * Math.exp(-0.5 * (distance / LUTEAL_PEAK_WIDTH) ** 2);
+        }
+
+        return {
+            androgen,
+            cortisol: this.cortisol,
+            cycleDay,
+            cyclePhase,
+            sebumFactor: androgen / (HORMONE_DEFAULTS.androgenValue / 10) * cycleFactor
+        };
+    }
+
+    toJSON() {
+        return { settings: this.getSettings(), cortisol: this.cortisol };
+    }
+
+    // Replace settings and cortisol with a toJSON() snapshot
+    restore(data) {
+        this.settings = { ...HORMONE_DEFAULTS };
+        this.set(data.settings || {});
+        this.resetCortisol();
+        if (Number.isFinite(data.cortisol)) {
+            this.cortisol = Math.max(0, Math.min(100, data.cortisol));
+        }
+    }
+}
+
+// Relative androgen output by age in years: adrenarche and puberty raise it from a
+// childhood baseline to an adult plateau, which declines slowly after 20
+function ageProfile(age) {
+    const puberty = 0.25 + 0.75 / (1 + Math.exp(-(age - 13) / 1.2));
+    const decline = Math.max(0.5, 1 - 0.012 * Math.max(0, age - 20));
+    return puberty * decline;
+}
+
+function clampSetting(key, value) {
+    switch (key) {
+        case "age": return Math.max(5, Math.min(80, value));
+        case "cycleDay": return Math.max(1, Math.min(CYCLE_LENGTH, Math.floor(value)));
+        default: return Math.max(0, Math.min(1000, value));
+    }
+}
@@ -0,0 +1,118 @@
+// Acne Inflammation & Healing Simulation - Numerical Integrators
+// Each integrator advances a state vector y of the ODE system dy/dt = f(t, y)
+// across a step of h simulated hours and returns the new state vector.
+// All integrators share the signature (f, t, y, h, options) so they can be swapped freely.
+
+// Forward Euler: one derivative evaluation per step
+export function eulerStep(f, t, y, h) {
+    const k1 = f(t, y);
+    return y.map((value, i) => value + h * k1[i]);
+}
+
+// Classic fourth-order Runge-Kutta
+export function rk4Step(f, t, y, h) {
+    const k1 = f(t, y);
+    const k2 = f(t + h / 2, addScaled(y, k1, h / 2));
+    const k3 = f(t + h / 2, addScaled(y, k2, h / 2));
+    const k4 = f(t + h, addScaled(y, k3, h));
+
+    return y.map((value, i) => value + (h / 6) * (k1[i] + 2 * k2[i] + 2 * k3[i] + k4[i]));
+}
+
+// Dormand-Prince 5(4) tableau
+const DP_C = [0, 1/5, 3/10, 4/5, 8/9, 1, 1];
+const DP_A = [
+    [],
+    [1/5],
+    [3/40, 9/40],
+    [44/45, -56/15, 32/9],
+    [19372/6561, -25360/2187, 64448/6561, -212/729],
+    [9017/3168, -355/33, 46732/5247, 49/176, -5103/18656],
+    [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84]
+];
+const DP_B5 = [35/384, 0, 500/1113, 125/192, -2187/6784, 11/84, 0];
+const DP_B4 = [5179/57600, 0, 7571/16695, 393/640, -92097/339200, 187/2100, 1/40];
+
+// Adaptive Runge-Kutta 4(5) (Dormand-Prince). Covers the whole step h with as many
+// sub-steps as needed to keep the local error within options.tolerance (mixed
+// absolute/relative). The last accepted sub-step size is written back to
+// options.suggestedStep so the next call can start from it. If options.maxSubsteps
+// run out first, the rest of the step is taken in one go without error control, so
+// the returned state always belongs to time t + h.
+export function rk45Step(f, t, y, h, options = {}) {
+    const tolerance = options.tolerance || 1e-4;
+    const minStep = options.minStep || h * 1e-6;
+    const maxSubsteps = options.maxSubsteps || 1000;
+
+    let tCurrent = t;
+    let yCurrent = y;
+    let remaining = h;
+    let stepSize = Math.min(h, options.suggestedStep || h);
+    let substeps = 0;
+
+    while (remaining > h * 1e-12 && substeps < maxSubsteps) {
+        const hTry = Math.min(stepSize, remaining);
+        const { y5, y4 } = dormandPrinceStep(f, tCurrent, yCurrent, hTry);
+
+        // Scaled error norm: <= 1 means the step is within tolerance
+        let errorNorm = 0;
+        for (let i = 0; i < y5.length; i++) {
+            const scale = tolerance * (1 + Math.max(Math.abs(yCurrent[i]), Math.abs(y5[i])));
+            errorNorm = Math.max(errorNorm, Math.abs(y5[i] - y4[i]) / scale);
+        }
+
+        if (errorNorm <= 1 || hTry <= minStep) {
+            tCurrent += hTry;
+            remaining -= hTry;
+            yCurrent = y5;
+        }
+
+        // Standard step-size controller with safety factor
+        const factor = errorNorm === 0 ? 5 : 0.9 * Math.pow(errorNorm, -1 / 5);
+        stepSize = Math.max(minStep, hTry * Math.min(5, Math.max(0.2, factor)));
+        substeps++;
+    }
+
+    if (remaining > h * 1e-12) {
+        yCurrent = dormandPrinceStep(f, tCurrent, yCurrent, remaining).y5;
+    }
+
+    options.suggestedStep = stepSize;
+    return yCurrent;
+}
+
+// One Dormand-Prince step returning the 5th and embedded 4th order solutions
+function dormandPrinceStep(f, t, y, h) {
+    const k = [];
+    for (let stage = 0; stage < 7; stage++) {
+        let yStage = y;
+        for (let j = 0; j < stage; j++) {
+            if (DP_A[stage][j] !== 0) {
+                yStage = addScaled(yStage, k[j], h * DP_A[stage][j]);
+            }
+        }
+        k.push(f(t + DP_C[stage] * h, yStage));
+    }
+
+    const y5 = y.slice();
+    const y4 = y.slice();
+    for (let i = 0; i < y.length; i++) {
+        for (let stage = 0; stage < 7; stage++) {
+            y5[i] += h * DP_B5[stage] * k[stage][i];
+            y4[i] += h * DP_B4[stage] * k[stage][i];
+        }
+    }
+    return { y5, y4 };
+}
+
+// y + scale * dy
+function addScaled(y, dy, scale) {
+    return y.map((value, i) => value + scale * dy[i]);
+}
+
+// Integrators selectable by name
+export const INTEGRATORS = {
+    euler: eulerStep,
+    rk4: rk4Step,
+    rk45: rk45Step
+};
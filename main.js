@@ -1,11 +1,29 @@
 import { AcneSimulation } from './simulation.js';
 import { AcneVisualization } from './visualization.js';
+import { SimulationPresenter, formatStageName } from './presenter.js';
+import { SimulationTimeline } from './timeline.js';
+import { SkinPatch } from './patch.js';
+import { PRODUCTS } from './regimen.js';
+import { PROCEDURES } from './procedures.js';
+import { ENVIRONMENT_PRESETS, parseEnvironmentCSV, parseEnvironmentJSON } from './environment.js';
+import {
+    PHOTOTYPES, PATIENT_PRESETS, savePatientProfile, listSavedProfiles, deletePatientProfile,
+    saveActiveProfile, loadActiveProfile
+} from './patient.js';
+import {
+    createSession, applySession, downloadSession, readSessionFile,
+    saveSessionSlot, loadSessionSlot, listSessionSlots
+} from './session.js';
 
 // Acne Inflammation & Healing Simulation - Main Controller
 // This file connects the simulation logic with the visualization
 
 let simulation;
+let patch;
 let visualization;
+let presenter;
+let timeline;
+let isScrubbing = false;
 let animationFrameId;
 let isSimulationRunning = false;
 let timeLastFrame = 0;
@@ -22,10 +40,38 @@ document.addEventListener('DOMContentLoaded', () => {
     window.simulation = simulation;
     window.visualization = visualization;
     
+    // Run the lesion alongside the model's control follicle; the patch follows the simulation's settings
+    patch = new SkinPatch(simulation, { count: 2 });
+    window.patch = patch;
+    
+    // The control follicle is simulated where the model draws it
+    visualization.onFollicleMoved = (id, position) => patch.moveFollicle(id, position);
+    
+    // Record every tick for scrubbing back through the run
+    timeline = new SimulationTimeline(simulation);
+    
+    // Mirror simulation state into the page
+    presenter = new SimulationPresenter(simulation, { visualization, timeline });
+    
+    // Click and hold on the lesion to squeeze it; not while viewing a recorded moment
+    visualization.onSqueeze = (pressure, seconds) => isScrubbing ? null : simulation.squeeze(pressure, seconds);
+    
+    // Paint topical coverage on the skin with the brush; not while viewing a recorded moment
+    visualization.onPaint = (x, z, radius, amount) => {
+        if (!isScrubbing) simulation.paintCoverage(x, z, radius, amount);
+    };
+    
     // Setup the rest of the application
     setupEventListeners();
+    setupSessionControls();
+    setupTimelineControls();
+    setupRegimenControls();
+    setupCoverageControls();
+    setupHormoneControls();
+    setupEnvironmentControls();
+    setupPatientControls();
+    setupProcedureControls();
     connectUIControls();
-    updateUIFromSimulation();
     
     // Start animation if not already started
     if (visualization && !visualization.isAnimating) {
@@ -54,17 +100,49 @@ function setupEventListeners() {
     }
     
     // Speed control
-    const speedSlider = document.getElementById('speed-slider');
-    const speedValue = document.getElementById('speed-value');
+    const speedSlider = document.getElementById('speedSlider');
+    const speedValue = document.getElementById('speedValue');
     if (speedSlider && speedValue) {
         speedSlider.addEventListener('input', (e) => {
             speedMultiplier = parseFloat(e.target.value);
-            speedValue.textContent = speedMultiplier.toFixed(1) + 'x';
+            speedValue.textContent = speedMultiplier.toFixed(1) + '×';
+        });
+    }
+    
+    // Progression accelerator
+    const progressionSlider = document.getElementById('progressionSlider');
+    const progressionValue = document.getElementById('progressionValue');
+    if (progressionSlider && progressionValue) {
+        progressionSlider.addEventListener('input', (e) => {
+            simulation.setProgressionAccelerator(parseFloat(e.target.value));
+            progressionValue.textContent = simulation.progressionAccelerator.toFixed(1) + '×';
+        });
+    }
+    
+    // Numerical integrator
+    const integratorSelect = document.getElementById('integratorSelect');
+    if (integratorSelect) {
+        integratorSelect.value = simulation.integrator;
+        integratorSelect.addEventListener('change', (e) => {
+            simulation.setIntegrator(e.target.value);
+        });
+    }
+    
+    // Agent-based bacteria and neutrophils
+    const agentModeToggle = document.getElementById('agentModeToggle');
+    if (agentModeToggle) {
+        agentModeToggle.checked = simulation.agentMode;
+        agentModeToggle.addEventListener('change', (e) => {
+            simulation.setAgentMode(e.target.checked);
+            updateVisualizationState();
         });
     }
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Leave typing and choosing in form fields alone
+        if (e.target.matches && e.target.matches('input, textarea, select')) return;
+        
         if (e.key === ' ') {
             // Space bar toggles simulation
             toggleSimulation();
@@ -75,10 +153,10 @@ function setupEventListeners() {
         } else if (e.key === '1' || e.key === '2' || e.key === '3') {
             // 1, 2, 3 keys set speed
             speedMultiplier = parseInt(e.key);
-            const slider = document.getElementById('speed-slider');
-            const value = document.getElementById('speed-value');
+            const slider = document.getElementById('speedSlider');
+            const value = document.getElementById('speedValue');
             if (slider) slider.value = speedMultiplier;
-            if (value) value.textContent = speedMultiplier.toFixed(1) + 'x';
+            if (value) value.textContent = speedMultiplier.toFixed(1) + '×';
         }
     });
     
@@ -98,112 +176,636 @@ function setupEventListeners() {
     });
 }
 
-// Connect UI controls to simulation parameters
+// Sync slider positions and value labels with the simulation parameters
 function connectUIControls() {
-    // Helper function to safely set slider value
-    const setSliderValue = (id, value) => {
-        const slider = document.getElementById(id);
+    const params = simulation.getParameters();
+    
+    Object.entries(params).forEach(([key, value]) => {
+        // Slider ids mirror parameter keys, e.g. sebumSlider <-> sebumValue
+        const slider = document.getElementById(key.replace('Value', 'Slider'));
         if (slider) {
             slider.value = value;
         }
-    };
+        updateParameterDisplay(key, value);
+    });
+    
+    const progressionSlider = document.getElementById('progressionSlider');
+    const progressionValue = document.getElementById('progressionValue');
+    if (progressionSlider) progressionSlider.value = simulation.progressionAccelerator;
+    if (progressionValue) progressionValue.textContent = simulation.progressionAccelerator.toFixed(1) + '×';
+    
+    const integratorSelect = document.getElementById('integratorSelect');
+    if (integratorSelect) integratorSelect.value = simulation.integrator;
+    
+    const agentModeToggle = document.getElementById('agentModeToggle');
+    if (agentModeToggle) agentModeToggle.checked = simulation.agentMode;
+    
+    syncHormoneControls();
+    syncPatientControls();
+}
+
+// Save/load buttons for session files and browser storage slots
+function setupSessionControls() {
+    const saveSessionBtn = document.getElementById('saveSessionBtn');
+    const loadSessionBtn = document.getElementById('loadSessionBtn');
+    const sessionFileInput = document.getElementById('sessionFileInput');
+    const slotSelect = document.getElementById('sessionSlotSelect');
+    const saveSlotBtn = document.getElementById('saveSlotBtn');
+    const loadSlotBtn = document.getElementById('loadSlotBtn');
+    
+    if (saveSessionBtn) {
+        saveSessionBtn.addEventListener('click', () => {
+            downloadSession(createSession(simulation, visualization));
+            setSessionStatus('Session downloaded');
+        });
+    }
+    
+    if (loadSessionBtn && sessionFileInput) {
+        loadSessionBtn.addEventListener('click', () => sessionFileInput.click());
+        sessionFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                loadSession(await readSessionFile(file));
+                setSessionStatus(`Loaded ${file.name}`);
+            } catch (error) {
+                console.error('Error loading session:', error);
+                setSessionStatus(error.message);
+            }
+        });
+    }
+    
+    if (slotSelect && saveSlotBtn) {
+        saveSlotBtn.addEventListener('click', () => {
+            try {
+                saveSessionSlot(slotSelect.value, createSession(simulation, visualization));
+                updateSlotLabels();
+                setSessionStatus(`Saved to slot ${slotSelect.value}`);
+            } catch (error) {
+                console.error('Error saving session:', error);
+                setSessionStatus(error.message);
+            }
+        });
+    }
+    
+    if (slotSelect && loadSlotBtn) {
+        loadSlotBtn.addEventListener('click', () => {
+            try {
+                const session = loadSessionSlot(slotSelect.value);
+                if (!session) {
+                    setSessionStatus(`Slot ${slotSelect.value} is empty`);
+                    return;
+                }
+                loadSession(session);
+                setSessionStatus(`Loaded slot ${slotSelect.value}`);
+            } catch (error) {
+                console.error('Error loading session:', error);
+                setSessionStatus(error.message);
+            }
+        });
+    }
+    
+    updateSlotLabels();
+}
+
+// Treatment regimen form and schedule list
+function setupRegimenControls() {
+    const productSelect = document.getElementById('regimenProduct');
+    const doseInput = document.getElementById('regimenDose');
+    const doseUnit = document.getElementById('regimenDoseUnit');
+    const frequencySelect = document.getElementById('regimenFrequency');
+    const startDayInput = document.getElementById('regimenStartDay');
+    const durationInput = document.getElementById('regimenDuration');
+    const addTreatmentBtn = document.getElementById('addTreatmentBtn');
+    const regimenList = document.getElementById('regimenList');
+    
+    // Injections are given by the steroid procedure rather than on a schedule
+    if (productSelect) {
+        Object.entries(PRODUCTS).filter(([, product]) => product.route !== 'intralesional').forEach(([id, product]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${product.label} (${product.route})`;
+            productSelect.appendChild(option);
+        });
+        
+        // Default dose and unit follow the selected product
+        const showProductDose = () => {
+            const product = PRODUCTS[productSelect.value];
+            if (doseInput) doseInput.value = product.defaultDose;
+            if (doseUnit) doseUnit.textContent = product.doseUnit;
+        };
+        productSelect.addEventListener('change', showProductDose);
+        showProductDose();
+    }
+    
+    if (addTreatmentBtn && productSelect) {
+        addTreatmentBtn.addEventListener('click', () => {
+            simulation.addTreatment({
+                product: productSelect.value,
+                dose: doseInput ? parseFloat(doseInput.value) : undefined,
+                timesPerDay: frequencySelect ? parseInt(frequencySelect.value) : 1,
+                startDay: startDayInput ? parseFloat(startDayInput.value) || 0 : 0,
+                durationDays: durationInput ? parseFloat(durationInput.value) || 0 : 0
+            });
+        });
+    }
+    
+    // Remove buttons are rendered by the presenter
+    if (regimenList) {
+        regimenList.addEventListener('click', (e) => {
+            const id = e.target.dataset && e.target.dataset.treatmentId;
+            if (id) {
+                simulation.removeTreatment(parseInt(id));
+            }
+        });
+    }
+}
 
-    // Set initial slider values from simulation if they exist
-    setSliderValue('sebum-slider', simulation.sebumParam);
-    setSliderValue('bacteria-slider', simulation.bacteriaParam);
-    setSliderValue('medication-slider', simulation.medicationParam);
-    setSliderValue('inflammation-slider', simulation.inflammationParam);
-    setSliderValue('healing-slider', simulation.healingParam);
-    setSliderValue('temperature-slider', simulation.temperatureParam);
-    setSliderValue('humidity-slider', simulation.humidityParam);
-    setSliderValue('friction-slider', simulation.frictionParam);
+// Topical coverage brush: paint or wipe cream on the skin, or cover all or none of it
+function setupCoverageControls() {
+    const brushToggle = document.getElementById('coverageBrushToggle');
+    const eraseToggle = document.getElementById('coverageEraseToggle');
+    const brushSizeSlider = document.getElementById('brushSizeSlider');
+    const brushSizeValue = document.getElementById('brushSizeValue');
+    const fullBtn = document.getElementById('coverageFullBtn');
+    const clearBtn = document.getElementById('coverageClearBtn');
+    
+    if (brushToggle) {
+        brushToggle.addEventListener('change', (e) => {
+            visualization.setBrush({ enabled: e.target.checked });
+        });
+    }
+    if (eraseToggle) {
+        eraseToggle.addEventListener('change', (e) => {
+            visualization.setBrush({ erase: e.target.checked });
+        });
+    }
+    if (brushSizeSlider) {
+        const showBrushSize = () => {
+            const radius = parseFloat(brushSizeSlider.value);
+            visualization.setBrush({ radius });
+            if (brushSizeValue) brushSizeValue.textContent = radius.toFixed(2);
+        };
+        brushSizeSlider.addEventListener('input', showBrushSize);
+        showBrushSize();
+    }
+    if (fullBtn) {
+        fullBtn.addEventListener('click', () => simulation.fillCoverage(1));
+    }
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => simulation.fillCoverage(0));
+    }
+}
+
+// A button per procedure; the presenter reports the result and plays the animation
+function setupProcedureControls() {
+    const procedureButtons = document.getElementById('procedureButtons');
+    if (!procedureButtons) return;
+    
+    Object.entries(PROCEDURES).forEach(([id, procedure]) => {
+        const button = document.createElement('button');
+        button.textContent = procedure.label;
+        button.title = `Indicated for: ${procedure.stages.map(formatStageName).join(', ')}`;
+        button.addEventListener('click', () => simulation.performProcedure(id));
+        procedureButtons.appendChild(button);
+    });
 }
 
-// Update UI elements to reflect current simulation state
-function updateUIFromSimulation() {
-    // Helper function to safely update text content
-    const updateTextContent = (id, value) => {
-        const element = document.getElementById(id);
-        if (element) {
-            element.textContent = value;
+// Environment schedule: presets, CSV/JSON import and the schedule list
+function setupEnvironmentControls() {
+    const presetSelect = document.getElementById('environmentPreset');
+    const startDayInput = document.getElementById('environmentStartDay');
+    const durationInput = document.getElementById('environmentDuration');
+    const addEnvironmentBtn = document.getElementById('addEnvironmentBtn');
+    const importEnvironmentBtn = document.getElementById('importEnvironmentBtn');
+    const environmentFileInput = document.getElementById('environmentFileInput');
+    const clearEnvironmentBtn = document.getElementById('clearEnvironmentBtn');
+    const environmentList = document.getElementById('environmentList');
+    
+    if (presetSelect) {
+        Object.entries(ENVIRONMENT_PRESETS).forEach(([id, preset]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = preset.label;
+            presetSelect.appendChild(option);
+        });
+    }
+    
+    // Presets are added on top of the current schedule, limited to the chosen days
+    if (addEnvironmentBtn && presetSelect) {
+        addEnvironmentBtn.addEventListener('click', () => {
+            const startDay = startDayInput ? parseFloat(startDayInput.value) || 0 : 0;
+            const durationDays = durationInput ? parseFloat(durationInput.value) || 0 : 0;
+            ENVIRONMENT_PRESETS[presetSelect.value].entries.forEach(entry => {
+                simulation.addEnvironmentEntry({ ...entry, startDay, durationDays });
+            });
+        });
+    }
+    
+    // An imported file replaces the schedule
+    if (importEnvironmentBtn && environmentFileInput) {
+        importEnvironmentBtn.addEventListener('click', () => environmentFileInput.click());
+        environmentFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            try {
+                const text = await file.text();
+                const entries = file.name.toLowerCase().endsWith('.csv')
+                    ? parseEnvironmentCSV(text)
+                    : parseEnvironmentJSON(text);
+                simulation.setEnvironmentSchedule(entries);
+                setEnvironmentStatus(`Loaded ${file.name}`);
+            } catch (error) {
+                console.error('Error importing environment:', error);
+                setEnvironmentStatus(error.message);
+            }
+        });
+    }
+    
+    if (clearEnvironmentBtn) {
+        clearEnvironmentBtn.addEventListener('click', () => {
+            simulation.setEnvironmentSchedule([]);
+            setEnvironmentStatus('');
+        });
+    }
+    
+    // Remove buttons are rendered by the presenter
+    if (environmentList) {
+        environmentList.addEventListener('click', (e) => {
+            const id = e.target.dataset && e.target.dataset.environmentId;
+            if (id) {
+                simulation.removeEnvironmentEntry(parseInt(id));
+            }
+        });
+    }
+}
+
+// Show the result of an environment import
+function setEnvironmentStatus(message) {
+    const status = document.getElementById('environmentStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// Show the result of saving a patient profile
+function setPatientStatus(message) {
+    const status = document.getElementById('patientStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// Patient profiles: built-in and saved profiles, and a form for the current one
+function setupPatientControls() {
+    const profileSelect = document.getElementById('patientProfileSelect');
+    const phototypeSelect = document.getElementById('patientPhototype');
+    const applyPatientBtn = document.getElementById('applyPatientBtn');
+    const savePatientBtn = document.getElementById('savePatientBtn');
+    const deletePatientBtn = document.getElementById('deletePatientBtn');
+    
+    if (phototypeSelect) {
+        Object.entries(PHOTOTYPES).forEach(([id, phototype]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = phototype.label;
+            phototypeSelect.appendChild(option);
+        });
+    }
+    
+    // The form's settings with the current sebum slider and treatments
+    const readProfile = () => {
+        const nameInput = document.getElementById('patientName');
+        const ageInput = document.getElementById('patientAge');
+        const sexSelect = document.getElementById('patientSex');
+        const scarTendencyInput = document.getElementById('patientScarTendency');
+        
+        return {
+            name: nameInput ? nameInput.value : undefined,
+            phototype: phototypeSelect ? phototypeSelect.value : undefined,
+            age: ageInput ? parseFloat(ageInput.value) : undefined,
+            sex: sexSelect ? sexSelect.value : undefined,
+            scarTendency: scarTendencyInput ? parseFloat(scarTendencyInput.value) : undefined,
+            sebumValue: simulation.sebumValue,
+            treatments: simulation.getRegimen()
+        };
+    };
+    
+    if (profileSelect) {
+        profileSelect.addEventListener('change', () => {
+            const profile = findPatientProfile(profileSelect.value);
+            if (profile) {
+                simulation.setPatientProfile(profile);
+            }
+        });
+    }
+    
+    if (applyPatientBtn) {
+        applyPatientBtn.addEventListener('click', () => simulation.setPatientProfile(readProfile()));
+    }
+    
+    if (savePatientBtn) {
+        savePatientBtn.addEventListener('click', () => {
+            const profile = readProfile();
+            try {
+                savePatientProfile(profile);
+            } catch (error) {
+                console.error('Error saving patient profile:', error);
+                setPatientStatus(error.message);
+                return;
+            }
+            simulation.setPatientProfile(profile);
+            setPatientStatus(`Saved ${simulation.getPatientProfile().name}`);
+        });
+    }
+    
+    if (deletePatientBtn && profileSelect) {
+        deletePatientBtn.addEventListener('click', () => {
+            const { source, name } = parseProfileOption(profileSelect.value);
+            if (source !== 'saved') return;
+            
+            try {
+                deletePatientProfile(name);
+            } catch (error) {
+                console.error('Error deleting patient profile:', error);
+                setPatientStatus(error.message);
+                return;
+            }
+            syncPatientControls();
+        });
+    }
+    
+    // A new profile moves the sliders and hormone controls; it is remembered for the next visit
+    simulation.on('paramchange', ({ key, value }) => {
+        if (key !== 'patient') return;
+        
+        connectUIControls();
+        try {
+            saveActiveProfile(value);
+        } catch (error) {
+            console.error('Error remembering patient profile:', error);
         }
+    });
+    
+    let activeProfile = null;
+    try {
+        activeProfile = loadActiveProfile();
+    } catch (error) {
+        // Storage can be unavailable (e.g. privacy settings); the page then starts with the default profile
+    }
+    if (activeProfile) {
+        simulation.setPatientProfile(activeProfile);
+    }
+}
+
+// Source and name of a profile dropdown value: "preset:<id>" or "saved:<name>"
+function parseProfileOption(value) {
+    const separator = value.indexOf(':');
+    return { source: value.slice(0, separator), name: value.slice(separator + 1) };
+}
+
+// The built-in or saved profile a profile dropdown value refers to
+function findPatientProfile(value) {
+    const { source, name } = parseProfileOption(value);
+    return source === 'preset' ? PATIENT_PRESETS[name] : readSavedProfiles()[name];
+}
+
+// Saved profiles, or none when storage is unavailable
+function readSavedProfiles() {
+    try {
+        return listSavedProfiles();
+    } catch (error) {
+        return {};
+    }
+}
+
+// Show the simulation's patient profile in the patient controls
+function syncPatientControls() {
+    const profile = simulation.getPatientProfile();
+    const savedProfiles = readSavedProfiles();
+    
+    const profileSelect = document.getElementById('patientProfileSelect');
+    if (profileSelect) {
+        profileSelect.innerHTML = '';
+        [['Built-in', 'preset', PATIENT_PRESETS], ['Saved', 'saved', savedProfiles]].forEach(([label, source, profiles]) => {
+            if (Object.keys(profiles).length === 0) return;
+            
+            const group = document.createElement('optgroup');
+            group.label = label;
+            Object.entries(profiles).forEach(([id, { name }]) => {
+                const option = document.createElement('option');
+                option.value = `${source}:${id}`;
+                option.textContent = name;
+                group.appendChild(option);
+            });
+            profileSelect.appendChild(group);
+        });
+        
+        // Select the entry with the current profile's name, preferring a saved one
+        const match = [...profileSelect.options].reverse().find(option => option.textContent === profile.name);
+        profileSelect.value = match ? match.value : '';
+    }
+    
+    const nameInput = document.getElementById('patientName');
+    const phototypeSelect = document.getElementById('patientPhototype');
+    const ageInput = document.getElementById('patientAge');
+    const sexSelect = document.getElementById('patientSex');
+    const scarTendencyInput = document.getElementById('patientScarTendency');
+    
+    if (nameInput) nameInput.value = profile.name;
+    if (phototypeSelect) phototypeSelect.value = profile.phototype;
+    if (ageInput) ageInput.value = profile.age;
+    if (sexSelect) sexSelect.value = profile.sex;
+    if (scarTendencyInput) scarTendencyInput.value = profile.scarTendency;
+}
+
+// Hormone profile: androgen and stress sliders, age and the menstrual cycle
+function setupHormoneControls() {
+    const readSettings = () => {
+        const settings = {};
+        const androgenSlider = document.getElementById('androgenSlider');
+        const stressSlider = document.getElementById('stressSlider');
+        const ageInput = document.getElementById('hormoneAge');
+        const cycleToggle = document.getElementById('hormoneCycle');
+        const cycleDayInput = document.getElementById('hormoneCycleDay');
+        
+        if (androgenSlider) settings.androgenValue = parseInt(androgenSlider.value);
+        if (stressSlider) settings.stressValue = parseInt(stressSlider.value);
+        if (ageInput) settings.age = parseFloat(ageInput.value);
+        if (cycleToggle) settings.cycle = cycleToggle.checked;
+        if (cycleDayInput) settings.cycleDay = parseInt(cycleDayInput.value);
+        return settings;
     };
+    
+    ['androgenSlider', 'stressSlider', 'hormoneAge', 'hormoneCycle', 'hormoneCycleDay'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                simulation.setHormones(readSettings());
+                syncHormoneControls();
+            });
+        }
+    });
+}
+
+// Show the simulation's hormone profile in the hormone controls
+function syncHormoneControls() {
+    const settings = simulation.getHormones();
+    
+    const androgenSlider = document.getElementById('androgenSlider');
+    const stressSlider = document.getElementById('stressSlider');
+    const ageInput = document.getElementById('hormoneAge');
+    const cycleToggle = document.getElementById('hormoneCycle');
+    const cycleDayInput = document.getElementById('hormoneCycleDay');
+    
+    if (androgenSlider) androgenSlider.value = settings.androgenValue;
+    if (stressSlider) stressSlider.value = settings.stressValue;
+    if (ageInput) ageInput.value = settings.age;
+    if (cycleToggle) cycleToggle.checked = settings.cycle;
+    if (cycleDayInput) {
+        cycleDayInput.value = settings.cycleDay;
+        cycleDayInput.disabled = !settings.cycle;
+    }
+    updateParameterDisplay('androgenValue', settings.androgenValue);
+    updateParameterDisplay('stressValue', settings.stressValue);
+}
+
+// Timeline scrubber for viewing recorded moments of the run
+function setupTimelineControls() {
+    const timelineSlider = document.getElementById('timelineSlider');
+    const timelineLiveBtn = document.getElementById('timelineLiveBtn');
+    
+    if (timelineSlider) {
+        timelineSlider.addEventListener('input', (e) => {
+            scrubTo(parseInt(e.target.value));
+        });
+    }
+    
+    if (timelineLiveBtn) {
+        timelineLiveBtn.addEventListener('click', returnToLive);
+    }
+    
+    // Any live change ends scrubbing; the presenter already re-renders the live state
+    ['tick', 'reset', 'stagechange', 'paramchange'].forEach(type => {
+        simulation.on(type, () => {
+            isScrubbing = false;
+            updateTimelineControls();
+        });
+    });
+    
+    updateTimelineControls();
+}
 
-    // Update parameter displays if they exist
-    updateTextContent('sebum-value', simulation.sebumParam);
-    updateTextContent('bacteria-value', simulation.bacteriaParam);
-    updateTextContent('medication-value', simulation.medicationParam);
-    updateTextContent('inflammation-value', simulation.inflammationParam);
-    updateTextContent('healing-value', simulation.healingParam);
-    updateTextContent('temperature-value', simulation.temperatureParam);
-    updateTextContent('humidity-value', simulation.humidityParam);
-    updateTextContent('friction-value', simulation.frictionParam);
+// Show a recorded frame without touching the simulation itself
+function scrubTo(index) {
+    const frame = timeline.at(index);
+    if (!frame) return;
     
-    // Update stage display
-    const formattedStage = formatStageName(simulation.simulationStage || 'incubation');
-    updateTextContent('stageDisplay', 'Current Stage: ' + formattedStage);
+    pauseSimulation();
+    isScrubbing = true;
     
-    // Update time display
-    const timeInHours = Math.floor(simulation.simulationTime / 3600);
-    const timeInDays = (timeInHours / 24).toFixed(1);
-    updateTextContent('time-value', `${timeInHours} hours (${timeInDays} days)`);
+    if (visualization && frame.stage !== visualization.currentStage) {
+        presenter.renderStage(frame.stage);
+    }
+    presenter.render(frame);
+    if (visualization) {
+        visualization.update({ ...frame, rotateModel: shouldRotateModel });
+    }
     
-    // Update derived values
-    if (simulation.currentSebumLevel !== undefined) {
-        updateTextContent('current-sebum', simulation.currentSebumLevel.toFixed(1));
+    updateTimelineControls();
+}
+
+// Go back to showing the simulation's current state
+function returnToLive() {
+    isScrubbing = false;
+    
+    if (visualization && simulation.simulationStage !== visualization.currentStage) {
+        presenter.renderStage(simulation.simulationStage);
     }
-    if (simulation.currentBacteriaLevel !== undefined) {
-        updateTextContent('current-bacteria', simulation.currentBacteriaLevel.toFixed(1));
+    presenter.render(simulation.getState());
+    updateVisualizationState();
+    updateTimelineControls();
+}
+
+// Keep the scrubber range, position and label in step with the recording
+function updateTimelineControls() {
+    const timelineSlider = document.getElementById('timelineSlider');
+    const timelineLiveBtn = document.getElementById('timelineLiveBtn');
+    const timelineInfo = document.getElementById('timelineInfo');
+    if (!timelineSlider) return;
+    
+    timelineSlider.max = Math.max(0, timeline.length - 1);
+    if (!isScrubbing) {
+        timelineSlider.value = timelineSlider.max;
     }
-    if (simulation.currentInflammationLevel !== undefined) {
-        updateTextContent('current-inflammation', simulation.currentInflammationLevel.toFixed(1));
+    
+    if (timelineLiveBtn) {
+        timelineLiveBtn.disabled = !isScrubbing;
+    }
+    
+    if (timelineInfo) {
+        const frame = timeline.at(parseInt(timelineSlider.value));
+        timelineInfo.textContent = isScrubbing && frame
+            ? `Viewing ${frame.simulationTime.toFixed(1)} h (${formatStageName(frame.stage)})`
+            : 'Live';
     }
 }
 
-// Format stage name for display
-function formatStageName(stage) {
-    return stage
-        .split('_')
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
+// Replace the running simulation and view with a saved session
+function loadSession(session) {
+    pauseSimulation();
+    applySession(session, simulation, visualization);
+    connectUIControls();
+    updateVisualizationState();
+}
+
+// Mark which storage slots already hold a session
+function updateSlotLabels() {
+    const slotSelect = document.getElementById('sessionSlotSelect');
+    if (!slotSelect) return;
+    
+    let saved = [];
+    try {
+        saved = listSessionSlots();
+    } catch (error) {
+        // Storage can be unavailable (e.g. privacy settings); slots then just show as empty
+    }
+    
+    Array.from(slotSelect.options).forEach(option => {
+        const label = `Slot ${option.value}`;
+        option.textContent = saved.includes(option.value) ? `${label} (saved)` : label;
+    });
+}
+
+function setSessionStatus(message) {
+    const status = document.getElementById('sessionStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+// Show a 0-1000 parameter as a percentage next to its slider
+function updateParameterDisplay(key, value) {
+    const display = document.getElementById(key);
+    if (display) {
+        display.textContent = `${Math.round(value / 10)}%`;
+    }
 }
 
 // Handle slider changes
 function handleSliderChange(event) {
-    const sliderId = event.target.id;
+    const key = event.target.id.replace('Slider', 'Value');
     const value = parseInt(event.target.value);
     
     // Update display value
-    const valueId = sliderId.replace('-slider', '-value');
-    document.getElementById(valueId).textContent = value;
+    updateParameterDisplay(key, value);
     
     // Update simulation parameter
-    switch (sliderId) {
-        case 'sebum-slider':
-            simulation.setSebumParam(value);
-            break;
-        case 'bacteria-slider':
-            simulation.setBacteriaParam(value);
-            break;
-        case 'medication-slider':
-            simulation.setMedicationParam(value);
-            break;
-        case 'inflammation-slider':
-            simulation.setInflammationParam(value);
-            break;
-        case 'healing-slider':
-            simulation.setHealingParam(value);
-            break;
-        case 'temperature-slider':
-            simulation.setTemperatureParam(value);
-            break;
-        case 'humidity-slider':
-            simulation.setHumidityParam(value);
-            break;
-        case 'friction-slider':
-            simulation.setFrictionParam(value);
-            break;
-    }
+    simulation.setParameters({ [key]: value });
     
     // Immediately update visualization if paused
     if (!isSimulationRunning) {
@@ -222,6 +824,9 @@ function toggleSimulation() {
 
 // Start simulation
 function startSimulation() {
+    if (isScrubbing) {
+        returnToLive();
+    }
     if (!isSimulationRunning) {
         isSimulationRunning = true;
         timeLastFrame = performance.now();
@@ -249,9 +854,6 @@ function resetSimulation() {
     // Reset simulation state
     simulation.reset();
     
-    // Update UI
-    updateUIFromSimulation();
-    
     // Update visualization
     updateVisualizationState();
     
@@ -269,11 +871,8 @@ function simulationLoop(timestamp) {
     // Apply speed multiplier to delta time
     const scaledDelta = deltaTime * speedMultiplier / 1000; // Convert to seconds
     
-    // Update simulation state
-    simulation.update(scaledDelta);
-    
-    // Update UI elements
-    updateUIFromSimulation();
+    // Update every follicle's state (converted to simulated hours by simulation.timeScale)
+    patch.update(scaledDelta);
     
     // Update visualization
     updateVisualizationState();
@@ -288,40 +887,18 @@ function updateVisualizationState() {
     
     // Create a state object to pass to visualization
     const state = {
-        sebumLevel: simulation.currentSebumLevel,
-        bacteriaLevel: simulation.currentBacteriaLevel,
-        inflammationLevel: simulation.currentInflammationLevel,
-        neutrophilLevel: simulation.currentNeutrophilLevel,
-        pusLevel: simulation.currentPusLevel,
-        stage: simulation.simulationStage || 'incubation', // Provide default stage if undefined
+        ...simulation.getState(),
         rotateModel: shouldRotateModel
     };
     
-    // Update the UI display
-    const stageIndicator = document.getElementById('stageIndicator');
-    const stageDisplay = document.getElementById('stageDisplay');
-    
-    // Format stage name with null check
-    const formattedStage = state.stage ? 
-        state.stage.charAt(0).toUpperCase() + state.stage.slice(1) : 
-        'Incubation';
-    
-    if (stageIndicator) {
-        stageIndicator.textContent = `Stage: ${formattedStage}`;
-    }
-    
-    if (stageDisplay) {
-        stageDisplay.textContent = `Current Stage: ${formattedStage}`;
-    }
-    
     // Actually update the visualization with the simulation state
     visualization.update(state);
+    visualization.updateFollicles(patch.getStates());
 }
 
 // Skip to the next stage of the simulation
 function skipToNextStage() {
     simulation.advanceToNextStage();
-    updateUIFromSimulation();
     updateVisualizationState();
     console.log('Manually advanced to stage: ' + simulation.simulationStage);
 } 
\ No newline at end of file
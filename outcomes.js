@@ -0,0 +1,90 @@
+// Acne Inflammation & Healing Simulation - Scarring Outcomes
+// What a lesion leaves behind once it resolves. AcneSimulation accumulates scar
+// factors over the run (see trackScarring); at resolution they are turned into
+// one of the outcomes below with a severity score. The patient's skin shapes the
+// result too: scarTendency scales the damage, and pihSusceptibility (set by the
+// Fitzpatrick phototype, see patient.js) decides how readily inflammation leaves
+// brown rather than red marks.
+
+// Possible outcomes. severity is the 0-10 base score for a typical mark of that kind.
+export const OUTCOMES = {
+    none: { label: "No mark", severity: 0 },
+    pie: { label: "Post-inflammatory erythema (PIE)", severity: 1.5 },
+    pih: { label: "Post-inflammatory hyperpigmentation (PIH)", severity: 2 },
+    rolling: { label: "Rolling scar", severity: 5 },
+    boxcar: { label: "Boxcar scar", severity: 6 },
+    hypertrophic: { label: "Hypertrophic scar", severity: 6 },
+    icepick: { label: "Icepick scar", severity: 7 }
+};
+
+// Scar risk (0-100) below which a lesion leaves no mark, and above which it scars
+export const MARK_RISK = 20;
+export const SCAR_RISK = 55;
+
+// PIH susceptibility (0-1) of the reference skin, at which the rules below apply unchanged
+export const REFERENCE_PIH_SUSCEPTIBILITY = 0.5;
+
+// Accumulated scar factors of a fresh lesion
+export function createScarFactors() {
+    return {
+        peakInflammation: 0, // highest inflammation level reached (0-100)
+        lesionDepth: 0, // deepest dermal involvement reached (0-1, see stage depth)
+        ruptureHours: 0, // simulated hours spent ruptured, worsening, or as a nodule or cyst
+        inflammationBurden: 0, // inflammation integrated over time, weighted by depth (level-hours / 100)
+        picking: 0 // trauma from squeezing the lesion (1 = about ten seconds of hard squeezing)
+    };
+}
+
+// Scar risk (0-100) from accumulated factors; picking at the lesion adds damage of its own.
+// Slow healing (low healingValue) amplifies the damage, as does a prior tendency to scar
+// (scarTendency, 1 for typical skin).
+export function scarRisk(factors, healingValue, scarTendency = 1) {
+    const damage = 0.8 * (factors.peakInflammation / 100) * factors.lesionDepth +
+                   0.6 * Math.min(1, factors.ruptureHours / 72) +
+                   0.4 * Math.min(1, factors.inflammationBurden / 72) +
+                   0.5 * Math.min(1, factors.picking || 0);
+    const slowHealing = 1.5 - healingValue / 1000; // 0.5 (fast) to 1.5 (slow)
+    return 100 * (1 - Math.exp(-damage * slowHealing * scarTendency));
+}
+
+// Decide the outcome of a resolved lesion: { type, label, severity, scarRisk }.
+// patient is { scarTendency, pihSusceptibility }; missing values are those of the reference skin.
+export function assessOutcome(factors, healingValue, patient = {}) {
+    const { scarTendency = 1, pihSusceptibility = REFERENCE_PIH_SUSCEPTIBILITY } = patient;
+    const risk = scarRisk(factors, healingValue, scarTendency);
+
+    // Melanocytes in darker skin respond to milder inflammation, so marks appear sooner
+    const markRisk = MARK_RISK * (1.5 - pihSusceptibility);
+
+    let type;
+    if (risk < markRisk) {
+        type = "none";
+    } else if (risk < SCAR_RISK) {
+        // Superficial but intense inflammation dilates vessels (red); deeper inflammation
+        // drops melanin into the dermis (brown). The more melanin the skin makes, the
+        // shallower the lesion that still leaves it brown.
+        type = factors.lesionDepth < 1 - pihSusceptibility && factors.peakInflammation >= 70 ? "pie" : "pih";
+    } else if (healingValue > 700) {
+        // Overactive repair lays down excess collagen
+        type = "hypertrophic";
+    } else if (factors.lesionDepth >= 0.85 && factors.ruptureHours < 48) {
+        // Deep, narrow tract
+        type = "icepick";
+    } else if (factors.ruptureHours >= 72) {
+        // Prolonged dermal damage tethers the skin to deeper tissue
+        type = "rolling";
+    } else {
+        type = "boxcar";
+    }
+
+    // Scale the base severity with how far the risk went; PIH lasts longer on darker skin
+    const persistence = type === "pih" ? 0.5 + pihSusceptibility : 1;
+    const severity = Math.min(10, OUTCOMES[type].severity * persistence * (0.6 + risk / 125));
+
+    return {
+        type,
+        label: OUTCOMES[type].label,
+        severity: Math.round(severity * 10) / 10,
+        scarRisk: risk
+    };
+}
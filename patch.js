@@ -0,0 +1,216 @@
+// Acne Inflammation & Healing Simulation - Skin Patch
+// A patch of neighbouring follicles, each running its own AcneSimulation. The
+// primary follicle is the one the page's controls and presenter are bound to;
+// the others follow its settings with their own per-follicle variation, so they
+// progress at their own pace. Inflammation spilling out of a ruptured follicle
+// reaches its neighbours through the dermis and pushes them towards papules.
+
+import { AcneSimulation, PARAMETER_KEYS } from './simulation.js';
+import { createRandom, randomBetween } from './random.js';
+
+// Slider parameters that vary from follicle to follicle
+const VARIED_PARAMETERS = ["sebumValue", "bacteriaValue", "inflammationValue", "healingValue"];
+
+export class SkinPatch {
+    // options: { count, columns, spacing (scene units between follicles), seed,
+    //            variation (largest relative deviation of a follicle's parameters),
+    //            coupling (share of a neighbour's spilled inflammation that arrives) }
+    constructor(primary = new AcneSimulation(), options = {}) {
+        const {
+            count = 2,
+            columns = Math.ceil(Math.sqrt(count)),
+            spacing = 1.5,
+            seed = 1,
+            variation = 0.2,
+            coupling = 0.5
+        } = options;
+
+        this.spacing = spacing;
+        this.coupling = coupling;
+        this.seed = seed;
+
+        // Follicles on a grid; the primary one sits at the origin
+        const random = createRandom(seed);
+        this.follicles = [];
+        for (let i = 0; i < Math.max(1, count); i++) {
+            const column = i % columns;
+            const row = Math.floor(i / columns);
+            this.follicles.push({
+                id: i,
+                simulation: i === 0 ? primary : new AcneSimulation(),
+                position: { x: column * spacing, z: row * spacing },
+                // The primary follicle shows exactly what the sliders say
+                variation: i === 0 ? createVariation(() => 0.5, 0) : createVariation(random, variation),
+                neighbours: []
+            });
+        }
+
+        // Neighbours are the adjacent grid cells, diagonals included, weighted by distance
+        this.follicles.forEach(follicle => {
+            this.follicles.forEach(other => {
+                if (other === follicle) return;
+                const distance = Math.hypot(other.position.x - follicle.position.x, other.position.z - follicle.position.z);
+                if (distance <= spacing * Math.SQRT2 + 1e-9) {
+                    follicle.neighbours.push({ id: other.id, weight: 0 });
+                }
+            });
+        });
+        this.weighNeighbours();
+
+        this.follicles.slice(1).forEach(follicle => this.syncFollicle(follicle));
+
+        // Mirror the primary follicle's settings and resets onto the rest of the patch
+        this.unsubscribers = [
+            primary.on("paramchange", ({ key, value }) => {
+                this.follicles.slice(1).forEach(follicle => this.applySetting(follicle, key, value));
+            }),
+            primary.on("reset", () => {
+                this.follicles.slice(1).forEach(follicle => follicle.simulation.reset());
+            }),
+            primary.on("stagechange", ({ cause }) => {
+                if (cause === "restore") {
+                    this.follicles.slice(1).forEach(follicle => {
+                        this.syncFollicle(follicle);
+                        follicle.simulation.reset();
+                    });
+                }
+            })
+        ];
+    }
+
+    // Stop following the primary follicle
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    get primary() {
+        return this.follicles[0].simulation;
+    }
+
+    // Advance every follicle by the real elapsed time in seconds (see AcneSimulation.update).
+    // Coupling is refreshed once per call. Returns the primary follicle's step count.
+    update(realDeltaSeconds) {
+        this.couple();
+
+        let steps = 0;
+        this.follicles.forEach(({ simulation }, i) => {
+            const taken = simulation.update(realDeltaSeconds);
+            if (i === 0) steps = taken;
+        });
+        return steps;
+    }
+
+    // Advance every follicle by one step of dt simulated hours
+    step(dt) {
+        this.couple();
+        this.follicles.forEach(({ simulation }) => simulation.step(dt));
+    }
+
+    // Move a follicle other than the primary, e.g. to where the page draws it. Its neighbours
+    // stay the adjacent grid cells, but their coupling follows the new distance, and its
+    // topical coverage is read from the mask at its new place.
+    moveFollicle(id, position) {
+        const follicle = this.follicles[id];
+        if (!follicle || id === 0) return;
+
+        follicle.position = { x: position.x, z: position.z };
+        this.weighNeighbours();
+        this.applySetting(follicle, "coverage", this.primary.getCoverage());
+    }
+
+    // Weight each neighbour by closeness: 1 at the grid spacing, less further away
+    weighNeighbours() {
+        this.follicles.forEach(follicle => {
+            follicle.neighbours.forEach(neighbour => {
+                const other = this.follicles[neighbour.id];
+                const distance = Math.hypot(other.position.x - follicle.position.x, other.position.z - follicle.position.z);
+                neighbour.weight = this.spacing / Math.max(distance, 1e-9);
+            });
+        });
+    }
+
+    // Set each follicle's dermal exposure from what its neighbours spill
+    couple() {
+        const spills = this.follicles.map(({ simulation }) => simulation.getDermalSpill());
+
+        this.follicles.forEach(follicle => {
+            const exposure = follicle.neighbours.reduce((sum, { id, weight }) => sum + spills[id] * weight, 0);
+            follicle.simulation.dermalExposure = Math.min(100, exposure * this.coupling);
+        });
+    }
+
+    // Bring a follicle's settings in line with the primary's, applying its variation
+    syncFollicle(follicle) {
+        const primary = this.primary;
+
+        // The profile first, so the primary's current settings below win over the profile's
+        this.applySetting(follicle, "patient", primary.getPatientProfile());
+        Object.entries(primary.getParameters()).forEach(([key, value]) => {
+            this.applySetting(follicle, key, value);
+        });
+        this.applySetting(follicle, "progressionAccelerator", primary.progressionAccelerator);
+        this.applySetting(follicle, "timeScale", primary.timeScale);
+        this.applySetting(follicle, "integrator", primary.integrator);
+        this.applySetting(follicle, "agentMode", primary.agentMode);
+        this.applySetting(follicle, "regimen", primary.getRegimen());
+        this.applySetting(follicle, "hormones", primary.getHormones());
+        this.applySetting(follicle, "environment", primary.getEnvironmentSchedule());
+        this.applySetting(follicle, "coverage", primary.getCoverage());
+
+        follicle.simulation.keratinStickiness = primary.keratinStickiness * follicle.variation.keratinStickiness;
+        follicle.simulation.poreOpening = Math.max(0, Math.min(1, primary.poreOpening + follicle.variation.poreOpening));
+    }
+
+    // Apply one of the primary's paramchange settings to another follicle
+    applySetting({ simulation, variation, position }, key, value) {
+        if (PARAMETER_KEYS.includes(key)) {
+            simulation.setParameters({ [key]: value * (variation[key] || 1) });
+        } else if (key === "progressionAccelerator") {
+            simulation.setProgressionAccelerator(value);
+        } else if (key === "timeScale") {
+            simulation.setTimeScale(value);
+        } else if (key === "integrator") {
+            simulation.setIntegrator(value);
+        } else if (key === "agentMode") {
+            simulation.setAgentMode(value);
+        } else if (key === "hormones") {
+            // The patch is one person's skin, so every follicle shares the hormones
+            simulation.setHormones(value);
+        } else if (key === "environment") {
+            // The whole patch shares the weather and whatever rubs on it
+            simulation.setEnvironmentSchedule(value);
+        } else if (key === "patient") {
+            // It's the same patient's skin, but each follicle keeps its own sebum variation
+            simulation.setPatientProfile(value);
+            simulation.setParameters({ sebumValue: this.primary.sebumValue * (variation.sebumValue || 1) });
+        } else if (key === "regimen") {
+            // Every follicle in the patch gets the same treatment
+            simulation.getRegimen().forEach(entry => simulation.removeTreatment(entry.id));
+            value.forEach(entry => simulation.addTreatment(entry));
+        } else if (key === "coverage") {
+            // Topicals painted on the primary's skin reach each follicle where it sits under the mask
+            simulation.setTopicalCoverage(this.primary.getCoverageAt(position.x, position.z));
+        }
+    }
+
+    // State of every follicle with its place in the patch: [{ id, position, ...getState() }]
+    getStates() {
+        return this.follicles.map(({ id, simulation, position }) => ({
+            id,
+            position: { ...position },
+            ...simulation.getState()
+        }));
+    }
+}
+
+// Per-follicle multipliers for the varied parameters and offsets for the hidden ones
+function createVariation(random, amount) {
+    const variation = {};
+    VARIED_PARAMETERS.forEach(key => {
+        variation[key] = randomBetween(random, 1 - amount, 1 + amount);
+    });
+    variation.keratinStickiness = randomBetween(random, 1 - amount, 1 + amount);
+    variation.poreOpening = randomBetween(random, -amount, amount);
+    return variation;
+}
@@ -0,0 +1,126 @@
+// Acne Inflammation & Healing Simulation - Patient Profiles
+// Who the lesion belongs to. A profile holds:
+//   phototype    - Fitzpatrick skin type (I-VI), which sets the rendered skin colour and
+//                  how readily inflammation leaves post-inflammatory hyperpigmentation
+//   age, sex     - passed on to the hormone profile (sex "female" turns on the cycle)
+//   sebumValue   - baseline sebum production on the slider's 0-1000 scale
+//   scarTendency - prior tendency to scar, multiplying the scar damage (1 = typical)
+//   treatments   - the treatments the patient is on (Regimen entries, see regimen.js)
+// AcneSimulation applies a profile with setPatientProfile(); the visualization reads the
+// phototype from getState().patient. Profiles can be saved to browser storage by name.
+
+// Fitzpatrick phototypes. pihSusceptibility (0-1) feeds the PIE/PIH rule in outcomes.js;
+// 0.5 leaves it unchanged.
+export const PHOTOTYPES = {
+    I: { label: "Type I (very fair, always burns)", skinColor: 0xffe6e0, pihSusceptibility: 0.3 },
+    II: { label: "Type II (fair, usually burns)", skinColor: 0xffdddd, pihSusceptibility: 0.5 },
+    III: { label: "Type III (medium, sometimes burns)", skinColor: 0xe8b894, pihSusceptibility: 0.6 },
+    IV: { label: "Type IV (olive, rarely burns)", skinColor: 0xc68c5f, pihSusceptibility: 0.75 },
+    V: { label: "Type V (brown, very rarely burns)", skinColor: 0x8d5a3b, pihSusceptibility: 0.85 },
+    VI: { label: "Type VI (dark brown, never burns)", skinColor: 0x5a3825, pihSusceptibility: 0.9 }
+};
+
+export const SEXES = ["female", "male"];
+
+// The profile the simulation starts with; it leaves the model as it was before profiles
+export const PATIENT_DEFAULTS = {
+    name: "Default",
+    phototype: "II",
+    age: 18,
+    sex: "male",
+    sebumValue: 500,
+    scarTendency: 1,
+    treatments: []
+};
+
+// Built-in profiles, e.g. the same teenager on type II and type V skin for comparison
+export const PATIENT_PRESETS = {
+    default: { ...PATIENT_DEFAULTS },
+    teenTypeII: { name: "Teen, type II", phototype: "II", age: 15, sex: "male", sebumValue: 650, scarTendency: 1 },
+    teenTypeV: { name: "Teen, type V", phototype: "V", age: 15, sex: "male", sebumValue: 650, scarTendency: 1 },
+    adultWomanTypeIV: {
+        name: "Adult woman, type IV",
+        phototype: "IV",
+        age: 28,
+        sex: "female",
+        sebumValue: 500,
+        scarTendency: 1,
+        treatments: [{ product: "azelaicAcid", timesPerDay: 2 }]
+    },
+    scarProneTypeVI: { name: "Scar-prone, type VI", phototype: "VI", age: 22, sex: "male", sebumValue: 600, scarTendency: 1.6 },
+    fairAdultTypeI: {
+        name: "Fair adult, type I",
+        phototype: "I",
+        age: 25,
+        sex: "female",
+        sebumValue: 450,
+        scarTendency: 0.8,
+        treatments: [{ product: "adapalene", timesPerDay: 1 }]
+    }
+};
+
+// localStorage keys: saved profiles by name, and the profile in use when the page was left
+const PROFILE_PREFIX = "dermasim:patient:";
+const ACTIVE_PROFILE_KEY = "dermasim:active-patient";
+
+// Complete copy of a profile, with defaults for missing or invalid settings
+export function createPatientProfile(settings = {}) {
+    const profile = { ...PATIENT_DEFAULTS, treatments: [] };
+
+    if (typeof settings.name === "string" && settings.name.trim()) profile.name = settings.name.trim();
+    if (settings.phototype in PHOTOTYPES) profile.phototype = settings.phototype;
+    if (Number.isFinite(settings.age)) profile.age = Math.max(5, Math.min(80, settings.age));
+    if (SEXES.includes(settings.sex)) profile.sex = settings.sex;
+    if (Number.isFinite(settings.sebumValue)) profile.sebumValue = Math.max(0, Math.min(1000, settings.sebumValue));
+    if (Number.isFinite(settings.scarTendency)) profile.scarTendency = Math.max(0, Math.min(3, settings.scarTendency));
+    if (Array.isArray(settings.treatments)) {
+        // Schedule ids belong to the simulation the treatments were taken from
+        profile.treatments = settings.treatments.map(({ id, ...treatment }) => ({ ...treatment }));
+    }
+
+    return profile;
+}
+
+// Save a profile under its name in browser storage
+export function savePatientProfile(profile, storage = localStorage) {
+    storage.setItem(PROFILE_PREFIX + profile.name, JSON.stringify(createPatientProfile(profile)));
+}
+
+// Saved profiles by name
+export function listSavedProfiles(storage = localStorage) {
+    const profiles = {};
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (!key || !key.startsWith(PROFILE_PREFIX)) continue;
+
+        try {
+            profiles[key.slice(PROFILE_PREFIX.length)] = createPatientProfile(JSON.parse(storage.getItem(key)));
+        } catch (error) {
+            console.error(`Ignoring unreadable patient profile ${key}:`, error);
+        }
+    }
+    return profiles;
+}
+
+// Delete a saved profile by name
+export function deletePatientProfile(name, storage = localStorage) {
+    storage.removeItem(PROFILE_PREFIX + name);
+}
+
+// Remember the profile in use so the next visit starts with it
+export function saveActiveProfile(profile, storage = localStorage) {
+    storage.setItem(ACTIVE_PROFILE_KEY, JSON.stringify(createPatientProfile(profile)));
+}
+
+// The profile in use on the last visit, or null
+export function loadActiveProfile(storage = localStorage) {
+    const json = storage.getItem(ACTIVE_PROFILE_KEY);
+    if (!json) return null;
+
+    try {
+        return createPatientProfile(JSON.parse(json));
+    } catch (error) {
+        console.error("Ignoring unreadable active patient profile:", error);
+        return null;
+    }
+}
@@ -0,0 +1,321 @@
+// Acne Inflammation & Healing Simulation - DOM Presenter
+// Mirrors AcneSimulation state into the page. The simulation core never touches
+// the DOM; this layer listens to its events and owns every element it writes to.
+
+import { LineChart } from './charts.js';
+import { PRODUCTS } from './regimen.js';
+import { PHOTOTYPES } from './patient.js';
+import { PROCEDURES } from './procedures.js';
+
+// Shortest span of the drug-level chart, in simulated hours
+const DRUG_CHART_MIN_HOURS = 14 * 24;
+
+// Readout for each comedone type (see AcneSimulation.decideComedoneType)
+const COMEDONE_LABELS = {
+    open: 'Open (blackhead)',
+    closed: 'Closed (whitehead)'
+};
+
+// Cytokines plotted from the timeline recording
+const CYTOKINE_SERIES = [
+    { field: 'il1BetaLevel', label: 'IL-1β', color: '#d9534f' },
+    { field: 'tnfAlphaLevel', label: 'TNF-α', color: '#f0ad4e' },
+    { field: 'il8Level', label: 'IL-8', color: '#5bc0de' },
+    { field: 'il10Level', label: 'IL-10', color: '#5cb85c' }
+];
+
+// Most points drawn per cytokine curve
+const CYTOKINE_CHART_POINTS = 300;
+
+export class SimulationPresenter {
+    constructor(simulation, options = {}) {
+        this.simulation = simulation;
+        this.visualization = options.visualization || null;
+        this.document = options.document || document;
+        this.timeline = options.timeline || null;
+
+        const drugCanvas = this.document.getElementById('drugChart');
+        this.drugChart = drugCanvas ? new LineChart(drugCanvas, { xLabel: 'day', yLabel: 'skin drug level' }) : null;
+        this.drugChartHours = 0; // span of the predicted curves currently plotted
+        
+        const cytokineCanvas = this.document.getElementById('cytokineChart');
+        this.cytokineChart = cytokineCanvas && this.timeline
+            ? new LineChart(cytokineCanvas, { xLabel: 'day', yLabel: 'cytokine level', yMax: 100 })
+            : null;
+
+        // Re-render whenever the simulation changes
+        this.unsubscribers = [
+            simulation.on('tick', state => this.render(state)),
+            simulation.on('reset', state => this.render(state)),
+            simulation.on('paramchange', ({ key, value }) => {
+                if (key === 'regimen') {
+                    this.renderRegimen(value);
+                } else if (key === 'environment') {
+                    this.renderEnvironmentSchedule(value);
+                } else if (key === 'coverage') {
+                    this.renderCoverage(value);
+                }
+                this.render(simulation.getState());
+            }),
+            simulation.on('stagechange', ({ to }) => {
+                this.renderStage(to);
+                this.render(simulation.getState());
+            }),
+            simulation.on('procedure', event => this.renderProcedure(event))
+        ];
+
+        this.renderStage(simulation.simulationStage);
+        this.renderRegimen(simulation.getRegimen());
+        this.renderEnvironmentSchedule(simulation.getEnvironmentSchedule());
+        this.renderCoverage(simulation.getCoverage());
+        this.render(simulation.getState());
+    }
+
+    // Stop listening to the simulation
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    // Render a simulation state snapshot
+    render(state) {
+        this.renderProgressBar(state.stageProgress);
+        this.renderLevels(state);
+        this.renderTime(state.simulationTime);
+        this.renderDrugChart(state.simulationTime);
+        this.renderCytokineChart(state.simulationTime);
+    }
+
+    // Update stage labels, stage buttons and stage visuals
+    renderStage(stage) {
+        const formattedStage = formatStageName(stage);
+
+        this.setText('stageDisplay', `Current Stage: ${formattedStage}`);
+        this.setText('stageIndicator', `Stage: ${formattedStage}`);
+
+        // Stage navigation buttons registered by index.html
+        if (typeof window !== 'undefined' && window.updateCurrentStageDisplay) {
+            window.updateCurrentStageDisplay(stage);
+        }
+
+        if (this.visualization) {
+            this.visualization.updateStageVisuals(stage);
+        }
+    }
+
+    // Update the stage progress bar
+    renderProgressBar(progress) {
+        const progressBar = this.document.getElementById('stageProgress');
+        const progressText = this.document.getElementById('progressText');
+
+        if (!progressBar || !progressText) return;
+
+        progressBar.style.width = `${Math.min(100, Math.max(0, progress))}%`;
+        progressText.textContent = `${Math.round(progress)}%`;
+    }
+
+    // Update biological level readouts
+    renderLevels(state) {
+        this.setText('bacteriaLevel', Math.round(state.bacteriaLevel));
+        this.setText('inflammationLevel', Math.round(state.inflammationLevel));
+        this.setText('pusLevel', Math.round(state.pusLevel));
+        this.setText('healingProgress', Math.round(state.healingProgress));
+
+        this.setText('current-sebum', state.sebumLevel.toFixed(1));
+        this.setText('current-bacteria', state.bacteriaLevel.toFixed(1));
+        this.setText('current-inflammation', state.inflammationLevel.toFixed(1));
+        
+        this.setText('comedoneType', COMEDONE_LABELS[state.comedoneType] || 'Not formed');
+        
+        this.setText('resistantFraction', `${Math.round(state.resistantFraction * 100)}%`);
+        
+        if (state.hormones) {
+            const { sebumFactor, androgen, cortisol, cycleDay, cyclePhase } = state.hormones;
+            const cycle = cycleDay !== null ? `, cycle day ${Math.floor(cycleDay)} (${cyclePhase})` : '';
+            this.setText('hormoneDisplay', 
+                `Sebum output ${sebumFactor.toFixed(2)}× · androgen ${Math.round(androgen)} · cortisol ${Math.round(cortisol)}${cycle}`);
+        }
+        if (state.patient) {
+            this.setText('patientDisplay', `${state.patient.name} · ${PHOTOTYPES[state.patient.phototype].label}`);
+        }
+        if (state.environment) {
+            const { temperature, humidity, friction } = state.environment;
+            this.setText('environmentDisplay', 
+                `Temperature ${Math.round(temperature)} · humidity ${Math.round(humidity)} · friction ${Math.round(friction)}`);
+        }
+        this.setText('agentCounts', state.agentCounts
+            ? `${state.agentCounts.bacteria} C. acnes (${state.agentCounts.resistant} resistant), ${state.agentCounts.neutrophils} neutrophils`
+            : 'Off');
+        
+        this.setText('scarRisk', `${Math.round(state.scarRisk)}%`);
+        this.setText('outcomeDisplay', state.outcome
+            ? `${state.outcome.label} (severity ${state.outcome.severity.toFixed(1)}/10)`
+            : 'Pending');
+    }
+
+    // Update the simulated time readout (simulationTime is in simulated hours)
+    renderTime(simulationTime) {
+        const timeInHours = Math.floor(simulationTime);
+        const timeInDays = (simulationTime / 24).toFixed(1);
+        this.setText('time-value', `${timeInHours} hours (${timeInDays} days)`);
+    }
+
+    // Report a procedure's result and play its animation
+    renderProcedure({ procedure, stage, indicated, result }) {
+        const { label, stages } = PROCEDURES[procedure];
+        const advice = indicated ? ''
+            : ` Not indicated at the ${formatStageName(stage)} stage (indicated: ${stages.map(formatStageName).join(', ')}).`;
+        this.setText('procedureStatus', `${label}: ${result}.${advice}`);
+        
+        const status = this.document.getElementById('procedureStatus');
+        if (status) {
+            status.classList.toggle('procedure-warning', !indicated);
+        }
+        
+        if (this.visualization) {
+            this.visualization.playProcedure(procedure);
+        }
+    }
+
+    // Report how much of the skin and the lesion topicals reach, and draw the painted mask
+    renderCoverage({ lesion, average }) {
+        this.setText('coverageDisplay', 
+            `Lesion ${Math.round(lesion * 100)}% covered · ${Math.round(average * 100)}% of the skin`);
+        
+        // The lesion's coverage scales every topical dose, so the predicted curves change too
+        this.drugChartHours = 0;
+        
+        if (this.visualization) {
+            this.visualization.updateCoverage(this.simulation.coverage);
+        }
+    }
+
+    // List scheduled treatments; remove buttons carry data-treatment-id for the controls to handle
+    renderRegimen(entries) {
+        const list = this.document.getElementById('regimenList');
+        if (list) {
+            list.innerHTML = '';
+            entries.forEach(entry => {
+                const product = PRODUCTS[entry.product];
+                const until = entry.durationDays ? `–${entry.startDay + entry.durationDays}` : ' on';
+                
+                const item = this.document.createElement('li');
+                const text = this.document.createElement('span');
+                text.textContent = `${product.label}, ${entry.dose} ${product.doseUnit} ${entry.timesPerDay}× daily, day ${entry.startDay}${until}`;
+                
+                const remove = this.document.createElement('button');
+                remove.className = 'quick-set';
+                remove.textContent = 'Remove';
+                remove.dataset.treatmentId = entry.id;
+                
+                item.append(text, remove);
+                list.appendChild(item);
+            });
+        }
+        
+        // Force the predicted curves to be recomputed for the new schedule
+        this.drugChartHours = 0;
+    }
+
+    // List scheduled environment entries; remove buttons carry data-environment-id for the controls to handle
+    renderEnvironmentSchedule(entries) {
+        const list = this.document.getElementById('environmentList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        entries.forEach(entry => {
+            const until = entry.durationDays ? `, days ${entry.startDay}–${entry.startDay + entry.durationDays}` 
+                : entry.startDay ? `, from day ${entry.startDay}` : '';
+            
+            const item = this.document.createElement('li');
+            const text = this.document.createElement('span');
+            text.textContent = `${formatStageName(entry.factor)}: ${describeEnvironmentEntry(entry)}${until}`;
+            
+            const remove = this.document.createElement('button');
+            remove.className = 'quick-set';
+            remove.textContent = 'Remove';
+            remove.dataset.environmentId = entry.id;
+            
+            item.append(text, remove);
+            list.appendChild(item);
+        });
+    }
+
+    // Plot predicted skin drug levels with a marker at the current time
+    renderDrugChart(simulationTime) {
+        if (!this.drugChart) return;
+        
+        // Extend the predicted span in whole days once the run gets close to its end
+        if (simulationTime + 24 > this.drugChartHours) {
+            this.drugChartHours = Math.max(DRUG_CHART_MIN_HOURS, Math.ceil((simulationTime + 24) / 24) * 48);
+            const curves = this.simulation.predictDrugLevels(this.drugChartHours, 400);
+            this.drugChart.setSeries(Object.entries(curves).map(([product, points]) => ({
+                label: PRODUCTS[product].label,
+                color: PRODUCTS[product].color,
+                points: points.map(({ x, y }) => ({ x: x / 24, y }))
+            })));
+        }
+        
+        this.drugChart.setMarker(simulationTime / 24);
+        this.drugChart.draw();
+    }
+
+    // Plot recorded cytokine levels with a marker at the time being shown
+    renderCytokineChart(simulationTime) {
+        if (!this.cytokineChart) return;
+        
+        // Thin the recording out to at most CYTOKINE_CHART_POINTS frames
+        const stride = Math.max(1, Math.ceil(this.timeline.length / CYTOKINE_CHART_POINTS));
+        const frames = [];
+        for (let i = 0; i < this.timeline.length; i += stride) {
+            frames.push(this.timeline.at(i));
+        }
+        const latest = this.timeline.latest();
+        if (latest && frames[frames.length - 1] !== latest) {
+            frames.push(latest);
+        }
+        
+        this.cytokineChart.setSeries(CYTOKINE_SERIES.map(({ field, label, color }) => ({
+            label,
+            color,
+            points: frames.map(frame => ({ x: frame.simulationTime / 24, y: frame[field] }))
+        })));
+        this.cytokineChart.setMarker(simulationTime / 24);
+        this.cytokineChart.draw();
+    }
+
+    // Safely set the text of an element that may not be on the page
+    setText(id, value) {
+        const element = this.document.getElementById(id);
+        if (element) {
+            element.textContent = value;
+        }
+    }
+}
+
+// Format stage name for display
+export function formatStageName(stage) {
+    return (stage || 'incubation')
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Short description of an environment schedule entry (see environment.js)
+function describeEnvironmentEntry(entry) {
+    switch (entry.kind) {
+        case 'daily':
+            return `${Math.round(entry.mean)} ± ${Math.round(entry.amplitude)}, peaking at ${formatHour(entry.peakHour)}`;
+        case 'block':
+            return `${Math.round(entry.value)} for ${entry.hours} h from ${formatHour(entry.startHour)} daily`;
+        case 'series':
+            return `${entry.points.length} recorded points${entry.repeatHours ? `, repeating every ${entry.repeatHours} h` : ''}`;
+        default:
+            return entry.kind;
+    }
+}
+
+// Hour of the day as hh:00
+function formatHour(hour) {
+    return `${String(Math.floor(((hour % 24) + 24) % 24)).padStart(2, '0')}:00`;
+}
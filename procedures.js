@@ -0,0 +1,115 @@
+// Acne Inflammation & Healing Simulation - Clinical Procedures
+// In-office procedures performed on the lesion, for rehearsing the right one at the right
+// stage. AcneSimulation.performProcedure() runs them and emits a "procedure" event.
+//
+// Each procedure declares:
+//   label      - display name
+//   stages     - stages it is indicated for
+//   perform(sim) - changes it makes to the simulation at the current stage, returning a
+//                  short description of what happened. It is carried out at any stage,
+//                  so using it on the wrong lesion has consequences of its own.
+
+// Share of the plug an extractor removes from an open comedone; a closed one has to be
+// nicked open first and only partly comes out
+const OPEN_EXTRACTION = 0.85;
+const CLOSED_EXTRACTION = 0.6;
+
+// Stages whose lesion holds pus that an incision can let out, and the share drained
+const DRAINABLE = {
+    pustule: 0.9,
+    cyst: 0.8,
+    nodule: 0.3,
+    rupture: 0.4,
+    worsening: 0.4
+};
+
+// Trauma each procedure adds to the picking scar factor (see outcomes.js); a sterile
+// instrument does far less harm than fingers
+const EXTRACTION_TRAUMA = 0.02;
+const INCISION_TRAUMA = 0.03;
+const BLIND_INCISION_TRAUMA = 0.15; // cutting into a lesion with nothing to drain
+
+export const PROCEDURES = {
+    extraction: {
+        label: "Comedone extraction",
+        stages: ["comedone"],
+        perform: sim => {
+            const stage = sim.simulationStage;
+
+            if (stage === "comedone") {
+                const closed = sim.comedoneType === "closed";
+                const share = closed ? CLOSED_EXTRACTION : OPEN_EXTRACTION;
+                sim.currentSebumLevel *= 1 - share;
+                sim.currentKeratinLevel *= 1 - share;
+                sim.currentOxidationLevel = 0;
+                sim.currentBacteriaLevel *= 1 - share;
+                sim.scarFactors.picking += EXTRACTION_TRAUMA * (closed ? 2 : 1);
+
+                // With the plug out the follicle is back to an unplugged one, which can block again
+                sim.enterStage("incubation", "procedure");
+                return closed ? "pore nicked and most of the plug expressed" : "plug expressed";
+            }
+
+            // Pressing the loop on an inflamed lesion squeezes it
+            if (stage !== "incubation" && stage !== "healing" && stage !== "resolved") {
+                const { ruptured } = sim.applySqueeze(1, 2);
+                return ruptured ? "pressure on the inflamed lesion burst it into the dermis"
+                    : "pressure on the inflamed lesion bruised the follicle wall";
+            }
+
+            return "no plug to extract";
+        }
+    },
+
+    steroid: {
+        label: "Intralesional corticosteroid",
+        stages: ["papule", "nodule", "cyst"],
+        perform: sim => {
+            const stage = sim.simulationStage;
+            const dose = sim.regimen.give("triamcinolone");
+            sim.events.emit("dose", { ...dose, time: sim.simulationTime });
+
+            if (stage === "incubation" || stage === "comedone" || stage === "resolved") {
+                return "injected into a lesion that isn't inflamed; a steroid can't clear the plug";
+            }
+            if (stage === "pustule" || stage === "rupture") {
+                return "injected, but the pus still needs to come out";
+            }
+            return `${dose.dose} mg triamcinolone injected to settle the inflammation`;
+        }
+    },
+
+    drainage: {
+        label: "Incision and drainage",
+        stages: ["pustule", "cyst"],
+        perform: sim => {
+            const stage = sim.simulationStage;
+            const share = DRAINABLE[stage];
+
+            if (!share) {
+                if (stage === "incubation" || stage === "resolved") return "nothing to drain";
+
+                // Cutting into a lesion without a collection only adds a wound
+                sim.currentInflammationLevel = Math.min(100, sim.currentInflammationLevel + 10);
+                sim.scarFactors.picking += BLIND_INCISION_TRAUMA;
+                return "incised, but there was no pus to drain";
+            }
+
+            // Pus flows out through the incision rather than into the dermis, carrying
+            // bacteria and spent neutrophils with it and relieving the pressure
+            sim.currentPusLevel *= 1 - share;
+            sim.currentBacteriaLevel *= 1 - 0.6 * share;
+            sim.currentNeutrophilLevel *= 1 - 0.5 * share;
+            sim.currentInflammationLevel *= 1 - 0.3 * share;
+            sim.scarFactors.picking += INCISION_TRAUMA;
+
+            // A drained pustule or cyst heals from the incision; a cyst's capsule is opened
+            if (stage === "pustule" || stage === "cyst") {
+                sim.currentCapsuleLevel *= 0.5;
+                sim.enterStage("healing", "procedure");
+                return "incised and drained";
+            }
+            return "partly drained; the collection is too deep or spread out for a clean drain";
+        }
+    }
+};
@@ -0,0 +1,20 @@
+// Acne Inflammation & Healing Simulation - Seeded Random Numbers
+// Math.random() can't be replayed, so anything that should come out the same for
+// the same seed (e.g. the follicle layout of a SkinPatch) draws from here instead.
+
+// Random number generator (mulberry32): returns a function giving floats in [0, 1)
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Uniform float in [min, max) from a generator made by createRandom
+export function randomBetween(random, min, max) {
+    return min + random() * (max - min);
+}
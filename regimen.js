@@ -0,0 +1,314 @@
+// Acne Inflammation & Healing Simulation - Treatment Regimen
+// Scheduled dosing with first-order pharmacokinetics. Each dose goes into a depot
+// (the skin surface for topicals, the gut for oral drugs, the lesion itself for
+// injections), is absorbed into the skin with the product's absorption half-life
+// and cleared with its elimination half-life. Skin levels are in multiples of the
+// product's half-maximal effect concentration, so a level of 1 gives half of its
+// maximum effect.
+//
+// Both compartments are advanced with their exact exponential solution, so drug
+// levels don't depend on the simulation's step size.
+
+// Mechanisms a product can act through, and the model term each one suppresses
+// (0 = no effect, 1 = fully suppressed):
+//   bactericidal     - kills bacteria in proportion to the load
+//   bacteriostatic   - slows bacterial growth (bacteriaGrowthRate)
+//   antibiotic       - slows and kills antibiotic-susceptible bacteria only, selecting for resistance
+//   antiInflammatory - resolves inflammation
+//   comedolytic      - loosens the keratin/sebum plug, shrinking and preventing comedones
+//   sebosuppressive  - shrinks sebaceous output (sebumRate)
+export const DRUG_EFFECTS = ["bactericidal", "bacteriostatic", "antibiotic", "antiInflammatory", "comedolytic", "sebosuppressive"];
+
+// Product catalog.
+//   route                - "topical", "oral" or "intralesional" (injected during a procedure, see procedures.js)
+//   doseUnit, defaultDose
+//   absorptionHalfLife   - hours for half the depot to reach the skin
+//   eliminationHalfLife  - hours for the skin level to halve
+//   skinLevelPerDose     - skin level per dose unit once fully absorbed
+//   effects              - maximum effect per mechanism (see DRUG_EFFECTS); omitted ones are 0
+export const PRODUCTS = {
+    benzoylPeroxide: {
+        label: "Benzoyl peroxide 5%",
+        color: "#f0ad4e",
+        route: "topical",
+        doseUnit: "application",
+        defaultDose: 1,
+        absorptionHalfLife: 0.5,
+        eliminationHalfLife: 3,
+        skinLevelPerDose: 2,
+        // Oxidises bacteria directly; mildly keratolytic
+        effects: { bactericidal: 0.9, comedolytic: 0.15 }
+    },
+    adapalene: {
+        label: "Adapalene 0.1% (retinoid)",
+        color: "#5cb85c",
+        route: "topical",
+        doseUnit: "application",
+        defaultDose: 1,
+        absorptionHalfLife: 2,
+        eliminationHalfLife: 24,
+        skinLevelPerDose: 0.8,
+        // Normalises follicular keratinisation
+        effects: { comedolytic: 0.8, antiInflammatory: 0.2 }
+    },
+    clindamycin: {
+        label: "Clindamycin 1%",
+        color: "#5bc0de",
+        route: "topical",
+        doseUnit: "application",
+        defaultDose: 1,
+        absorptionHalfLife: 1,
+        eliminationHalfLife: 8,
+        skinLevelPerDose: 1.5,
+        effects: { antibiotic: 0.7, antiInflammatory: 0.3 }
+    },
+    doxycycline: {
+        label: "Doxycycline",
+        color: "#9b59b6",
+        route: "oral",
+        doseUnit: "mg",
+        defaultDose: 100,
+        absorptionHalfLife: 1,
+        eliminationHalfLife: 18,
+        skinLevelPerDose: 0.01,
+        effects: { antibiotic: 0.6, antiInflammatory: 0.5 }
+    },
+    azelaicAcid: {
+        label: "Azelaic acid 20%",
+        color: "#d9534f",
+        route: "topical",
+        doseUnit: "application",
+        defaultDose: 1,
+        absorptionHalfLife: 1,
+        eliminationHalfLife: 6,
+        skinLevelPerDose: 1.2,
+        // A little of everything: antibacterial, comedolytic and anti-inflammatory
+        effects: { bacteriostatic: 0.4, comedolytic: 0.4, antiInflammatory: 0.3 }
+    },
+    isotretinoin: {
+        label: "Isotretinoin",
+        color: "#34495e",
+        route: "oral",
+        doseUnit: "mg",
+        defaultDose: 40,
+        absorptionHalfLife: 1.5,
+        eliminationHalfLife: 20,
+        skinLevelPerDose: 0.05,
+        // Shrinks the sebaceous glands
+        effects: { sebosuppressive: 0.9, comedolytic: 0.5, antiInflammatory: 0.2 }
+    },
+    triamcinolone: {
+        label: "Triamcinolone 2.5 mg/mL",
+        color: "#8e8e8e",
+        route: "intralesional",
+        doseUnit: "mg",
+        defaultDose: 0.25,
+        // Crystals injected into the lesion dissolve slowly into a long-lasting depot
+        absorptionHalfLife: 4,
+        eliminationHalfLife: 96,
+        skinLevelPerDose: 16,
+        effects: { antiInflammatory: 0.95 }
+    }
+};
+
+export class Regimen {
+    constructor(entries = []) {
+        this.entries = [];
+        this.nextId = 1;
+        this.levels = {}; // productId -> { depot, skin }
+        this.coverage = 1; // share of each topical application reaching the skin (see coverage.js)
+
+        entries.forEach(entry => this.add(entry));
+    }
+
+    // Schedule a product, e.g. { product: "doxycycline", dose: 100, timesPerDay: 1, startDay: 3 }.
+    // durationDays of 0 or null means the course never ends. Returns the entry, or null if invalid.
+    add({ product, dose, timesPerDay = 1, startDay = 0, durationDays = null }) {
+        const info = PRODUCTS[product];
+        if (!info) {
+            console.error(`Unknown product: ${product}`);
+            return null;
+        }
+
+        const entry = {
+            id: this.nextId++,
+            product,
+            dose: Number.isFinite(dose) && dose > 0 ? dose : info.defaultDose,
+            timesPerDay: Math.max(1, Math.round(timesPerDay)),
+            startDay: Math.max(0, startDay || 0),
+            durationDays: durationDays > 0 ? durationDays : null
+        };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    // Give a single unscheduled dose now, e.g. an injection; returns { product, dose } or null
+    give(product, dose) {
+        const info = PRODUCTS[product];
+        if (!info) {
+            console.error(`Unknown product: ${product}`);
+            return null;
+        }
+
+        dose = Number.isFinite(dose) && dose > 0 ? dose : info.defaultDose;
+        this.getLevel(product).depot += dose * info.skinLevelPerDose;
+        return { product, dose };
+    }
+
+    // Remove a scheduled entry by id; returns whether it existed
+    remove(id) {
+        const count = this.entries.length;
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        return this.entries.length !== count;
+    }
+
+    // Copy of the schedule
+    getEntries() {
+        return this.entries.map(entry => ({ ...entry }));
+    }
+
+    // Dose times of an entry within [from, to), in simulated hours
+    doseTimes(entry, from, to) {
+        const interval = 24 / entry.timesPerDay;
+        const first = entry.startDay * 24;
+        const end = entry.durationDays ? first + entry.durationDays * 24 : Infinity;
+
+        const times = [];
+        for (let n = Math.max(0, Math.ceil((from - first) / interval)); ; n++) {
+            const time = first + n * interval;
+            if (time >= to || time >= end) break;
+            if (time >= from) times.push(time);
+        }
+        return times;
+    }
+
+    // Advance drug levels from simulated hour t over dt hours, giving every dose that
+    // falls in [t, t + dt). Returns the doses given as [{ product, dose, time }].
+    advance(t, dt) {
+        const doses = [];
+        this.entries.forEach(entry => {
+            this.doseTimes(entry, t, t + dt).forEach(time => {
+                doses.push({ product: entry.product, dose: entry.dose, time });
+            });
+        });
+        doses.sort((a, b) => a.time - b.time);
+
+        let now = t;
+        doses.forEach(({ product, dose, time }) => {
+            this.decay(time - now);
+            now = time;
+            this.getLevel(product).depot += dose * PRODUCTS[product].skinLevelPerDose * this.getReach(product);
+        });
+        this.decay(t + dt - now);
+
+        return doses;
+    }
+
+    // Share of a scheduled dose of a product that is put on this skin: topicals only reach
+    // as much of it as the application covers
+    getReach(product) {
+        return PRODUCTS[product].route === "topical" ? this.coverage : 1;
+    }
+
+    // Exact solution of the depot -> skin -> cleared chain over dt hours
+    decay(dt) {
+        if (dt <= 0) return;
+
+        Object.entries(this.levels).forEach(([product, level]) => {
+            const { absorptionHalfLife, eliminationHalfLife } = PRODUCTS[product];
+            const ka = Math.LN2 / absorptionHalfLife;
+            const ke = Math.LN2 / eliminationHalfLife;
+            const absorbed = Math.exp(-ka * dt);
+            const cleared = Math.exp(-ke * dt);
+
+            // Amount reaching the skin from the depot and clearing again within dt
+            const transfer = Math.abs(ke - ka) < 1e-9
+                ? level.depot * ka * dt * absorbed
+                : level.depot * ka / (ke - ka) * (absorbed - cleared);
+
+            level.skin = level.skin * cleared + transfer;
+            level.depot *= absorbed;
+        });
+    }
+
+    getLevel(product) {
+        if (!this.levels[product]) {
+            this.levels[product] = { depot: 0, skin: 0 };
+        }
+        return this.levels[product];
+    }
+
+    // Current skin level per product
+    getSkinLevels() {
+        const skin = {};
+        Object.entries(this.levels).forEach(([product, level]) => {
+            skin[product] = level.skin;
+        });
+        return skin;
+    }
+
+    // Combined effect per mechanism of the current skin levels. Each product follows an
+    // Emax curve; products sharing a mechanism combine as 1 - (1 - e1)(1 - e2)...
+    getEffects() {
+        const effects = {};
+        DRUG_EFFECTS.forEach(effect => {
+            let remaining = 1;
+            Object.entries(this.levels).forEach(([product, { skin }]) => {
+                remaining *= 1 - (PRODUCTS[product].effects[effect] || 0) * skin / (skin + 1);
+            });
+            effects[effect] = 1 - remaining;
+        });
+        return effects;
+    }
+
+    // Drop all drug in the body, keeping the schedule
+    clearLevels() {
+        this.levels = {};
+    }
+
+    // Predicted skin levels per product from hour 0 to hours, as { product: [{ x: hour, y: level }] }
+    predictLevels(hours, samples = 200) {
+        const preview = new Regimen(this.entries);
+        preview.coverage = this.coverage;
+        const curves = {};
+        this.entries.forEach(({ product }) => {
+            curves[product] = [{ x: 0, y: 0 }];
+        });
+
+        const dt = hours / samples;
+        for (let i = 0; i < samples; i++) {
+            preview.advance(i * dt, dt);
+            Object.keys(curves).forEach(product => {
+                curves[product].push({ x: (i + 1) * dt, y: preview.getLevel(product).skin });
+            });
+        }
+        return curves;
+    }
+
+    toJSON() {
+        return {
+            entries: this.getEntries(),
+            levels: JSON.parse(JSON.stringify(this.levels))
+        };
+    }
+
+    // Replace schedule and levels with a toJSON() snapshot
+    restore(data) {
+        this.entries = [];
+        this.nextId = 1;
+        this.levels = {};
+
+        (data.entries || []).forEach(entry => {
+            const added = this.add(entry);
+            if (added && Number.isInteger(entry.id)) {
+                added.id = entry.id;
+                this.nextId = Math.max(this.nextId, entry.id + 1);
+            }
+        });
+        Object.entries(data.levels || {}).forEach(([product, { depot, skin }]) => {
+            if (PRODUCTS[product] && Number.isFinite(depot) && Number.isFinite(skin)) {
+                this.levels[product] = { depot, skin };
+            }
+        });
+    }
+}
@@ -0,0 +1,89 @@
+// Acne Inflammation & Healing Simulation - Sessions
+// A session bundles a simulation snapshot with the visualization's view so a run
+// can be saved to a file or a browser storage slot and picked up again later.
+
+export const SESSION_FORMAT = 'dermasim-session';
+export const SESSION_VERSION = 1;
+
+// Prefix for localStorage keys holding saved slots
+const SLOT_PREFIX = 'dermasim:slot:';
+
+// Capture the simulation and (optionally) the view as a plain JSON-able object
+export function createSession(simulation, visualization) {
+    return {
+        format: SESSION_FORMAT,
+        version: SESSION_VERSION,
+        savedAt: new Date().toISOString(),
+        simulation: simulation.toJSON(),
+        view: visualization ? visualization.getViewState() : null
+    };
+}
+
+// Restore a session into an existing simulation and visualization. Throws if it isn't a session.
+export function applySession(session, simulation, visualization) {
+    if (!session || session.format !== SESSION_FORMAT) {
+        throw new Error('Not a DermaSim session');
+    }
+    if (session.version !== SESSION_VERSION) {
+        throw new Error(`Unsupported session version: ${session.version}`);
+    }
+
+    simulation.restore(session.simulation);
+    if (visualization) {
+        visualization.restoreViewState(session.view);
+    }
+}
+
+// Offer a session to the user as a .json download
+export function downloadSession(session, filename = 'dermasim-session.json') {
+    const blob = new Blob([JSON.stringify(session, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    URL.revokeObjectURL(url);
+}
+
+// Read and parse a session from a File picked by the user
+export function readSessionFile(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                resolve(JSON.parse(reader.result));
+            } catch (error) {
+                reject(new Error(`Could not parse ${file.name}: ${error.message}`));
+            }
+        };
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// Save a session into a named localStorage slot
+export function saveSessionSlot(name, session, storage = localStorage) {
+    storage.setItem(SLOT_PREFIX + name, JSON.stringify(session));
+}
+
+// Load a session from a named localStorage slot (null if the slot is empty)
+export function loadSessionSlot(name, storage = localStorage) {
+    const json = storage.getItem(SLOT_PREFIX + name);
+    return json ? JSON.parse(json) : null;
+}
+
+// Names of all saved slots
+export function listSessionSlots(storage = localStorage) {
+    const names = [];
+    for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        if (key && key.startsWith(SLOT_PREFIX)) {
+            names.push(key.slice(SLOT_PREFIX.length));
+        }
+    }
+    return names.sort();
+}
@@ -1,17 +1,109 @@
 // Acne Inflammation & Healing Simulation - Core Logic
-// This file contains the main simulation model for acne development
+// This file contains the main simulation model for acne development.
+// It has no DOM or window access so it can run in Node, a Web Worker or tests;
+// presenter.js mirrors its state into the page.
+
+import { INTEGRATORS } from './integrators.js';
+import { STAGE_GRAPH } from './stages.js';
+import { TypedEventEmitter } from './events.js';
+import { Regimen } from './regimen.js';
+import { HormoneProfile } from './hormones.js';
+import { EnvironmentSchedule } from './environment.js';
+import { PHOTOTYPES, createPatientProfile } from './patient.js';
+import { createScarFactors, scarRisk, assessOutcome } from './outcomes.js';
+import { DermisField } from './dermis.js';
+import { CoverageMask } from './coverage.js';
+import { AgentModel } from './agents.js';
+import { PROCEDURES } from './procedures.js';
+
+// Slider-controlled parameters (0-1000 scale)
+export const PARAMETER_KEYS = [
+    "sebumValue", "bacteriaValue", "inflammationValue",
+    "healingValue", "temperatureValue", "humidityValue", "frictionValue"
+];
+
+// Events emitted by AcneSimulation (see on()) and their payloads:
+//   stagechange - { from, to, cause, time }; cause is "organic", "forced", "skip", "reset", "restore",
+//                 "squeeze" (the user burst the lesion, see squeeze()) or "procedure" (see performProcedure())
+//   threshold   - { name, level, value, threshold, direction, time } when a level crosses a threshold
+//   tick        - getState() snapshot after time has advanced
+//   reset       - getState() snapshot after reset()
+//   paramchange - { key, value, previous } for sliders, progressionAccelerator, timeScale, integrator,
+//                 agentMode, regimen (value is the schedule from getRegimen()), hormones
+//                 (value is the profile from getHormones()), environment (value is the
+//                 schedule from getEnvironmentSchedule()), patient (value is the profile
+//                 from getPatientProfile()), coverage (the topical mask was painted; value is
+//                 getCoverage()) and topicalCoverage (share of topical doses reaching the follicle)
+//   dose        - { product, dose, time } when a scheduled dose, or one injected by a procedure, is given
+//   outcome     - { type, label, severity, scarRisk } when the lesion resolves (see outcomes.js)
+//   procedure   - { procedure, stage, indicated, result, time } after a procedure (see procedures.js);
+//                 stage is the one it was performed on and result describes what happened
+export const SIMULATION_EVENTS = ["stagechange", "threshold", "tick", "reset", "paramchange", "dose", "outcome", "procedure"];
+
+// Biological state integrated as an ODE system, in state-vector order.
+// Every integrator reads and writes this same vector (see getStateVector).
+// The bacterial load is split into antibiotic-susceptible and resistant C. acnes;
+// currentBacteriaLevel is their total.
+export const STATE_VARIABLES = [
+    { key: "currentSebumLevel", min: 0, max: 100 },
+    { key: "currentKeratinLevel", min: 0, max: 100 },
+    { key: "currentOxidationLevel", min: 0, max: 100 },
+    { key: "currentSusceptibleBacteria", min: 0, max: 100 },
+    { key: "currentResistantBacteria", min: 0, max: 100 },
+    { key: "currentInflammationLevel", min: 0, max: 100 },
+    { key: "currentNeutrophilLevel", min: 0, max: 100 },
+    { key: "currentIL1BetaLevel", min: 0, max: 100 },
+    { key: "currentTNFAlphaLevel", min: 0, max: 100 },
+    { key: "currentIL8Level", min: 0, max: 100 },
+    { key: "currentIL10Level", min: 0, max: 100 },
+    { key: "currentMacrophageLevel", min: 0, max: 100 },
+    { key: "currentCTLLevel", min: 0, max: 100 },
+    { key: "currentTregLevel", min: 0, max: 100 },
+    { key: "currentPusLevel", min: 0, max: 100 },
+    { key: "currentCapsuleLevel", min: 0, max: 100 },
+    { key: "healingProgress", min: 0, max: 100 }
+];
+
+// Version of the toJSON() snapshot format
+export const SNAPSHOT_VERSION = 1;
+
+// Level thresholds reported through "threshold" events
+const THRESHOLD_WATCHES = [
+    { name: "SEBUM_THRESHOLD", level: "currentSebumLevel" },
+    { name: "PLUG_THRESHOLD", level: "currentPlugLevel" },
+    { name: "BACTERIA_THRESHOLD", level: "currentBacteriaLevel" },
+    { name: "INFLAMMATION_THRESHOLD", level: "currentInflammationLevel" },
+    { name: "PUS_THRESHOLD", level: "currentPusLevel" },
+    { name: "RUPTURE_THRESHOLD", level: "currentPusLevel" },
+    { name: "HEALING_THRESHOLD", level: "healingProgress" },
+    { name: "RESOLVED_THRESHOLD", level: "healingProgress" }
+];
+
+// Growth slows smoothly to zero at the top of a 0-100 scale
+function headroom(level) {
+    return 1 - Math.pow(Math.max(0, Math.min(100, level)) / 100, 4);
+}
+
+// Decay slows smoothly to zero as a level empties
+function depletion(level) {
+    const positive = Math.max(0, level);
+    return positive / (positive + 1);
+}
 
 export class AcneSimulation {
     constructor() {
         // Simulation state variables
         this.simulationTime = 0; // in simulated hours
-        this.timeScale = 1; // 1 second real time = 1 hour simulated time
-        this.simulationStage = "incubation"; // stages: incubation, comedone, papule, pustule, rupture, healing, resolved
+        this.timeScale = 1; // simulated hours per real second (1 second real time = 1 hour simulated time)
+        this.fixedTimeStep = 1/60; // simulated hours per integration step
+        this.maxStepsPerUpdate = 2000; // drop backlog beyond this to avoid a spiral after long frames
+        this.timeAccumulator = 0; // simulated hours not yet integrated
+        this.simulationStage = "incubation"; // see STAGE_GRAPH in stages.js
+        this.stageEnteredAt = 0; // simulated hour the current stage began
         
         // Parameter values (0-1000 scale)
         this.sebumValue = 500;
         this.bacteriaValue = 200;
-        this.medicationValue = 0;
         this.inflammationValue = 500;
         this.healingValue = 500;
         this.temperatureValue = 500;
@@ -22,561 +114,1279 @@ export class AcneSimulation {
         this.sebumRate = 0.05; // increased from 0.02 to make simulation advance faster
         this.bacteriaGrowthRate = 0.05; // base exponential growth rate per hour
         this.currentSebumLevel = 20; // start with some sebum already accumulated
-        this.currentBacteriaLevel = 0; // current bacteria population
+        this.currentKeratinLevel = 20; // retained keratinocyte debris in the follicle (0-100)
+        this.currentOxidationLevel = 0; // melanin/lipid oxidation at the tip of an open comedone (0-100)
+        this.currentSusceptibleBacteria = 0; // antibiotic-susceptible C. acnes
+        this.currentResistantBacteria = 0; // antibiotic-resistant C. acnes
         this.currentInflammationLevel = 0; // current inflammation (0-100)
         this.currentNeutrophilLevel = 0; // current neutrophil count
         this.currentPusLevel = 0; // current pus level (0-100)
-        this.currentMedicationLevel = 0; // Starting with no medication
+        this.currentIL1BetaLevel = 0; // IL-1β (0-100)
+        this.currentTNFAlphaLevel = 0; // TNF-α (0-100)
+        this.currentIL8Level = 0; // IL-8, the neutrophil chemokine (0-100)
+        this.currentIL10Level = 0; // IL-10, anti-inflammatory (0-100)
+        this.currentMacrophageLevel = 0; // macrophages (0-100)
+        this.currentCTLLevel = 0; // cytotoxic T cells (0-100)
+        this.currentTregLevel = 0; // regulatory T cells (0-100)
+        this.currentCapsuleLevel = 0; // fibrous capsule walling off a deep lesion (0-100)
         
         // Thresholds for stage transitions
-        this.SEBUM_THRESHOLD = 70; // sebum level to form a comedone
+        this.SEBUM_THRESHOLD = 70; // sebum level of a freshly formed comedone
+        this.PLUG_THRESHOLD = 70; // keratin/sebum plug level to form a comedone
         this.BACTERIA_THRESHOLD = 60; // bacteria to trigger inflammation
         this.INFLAMMATION_THRESHOLD = 40; // inflammation to form papule
         this.PUS_THRESHOLD = 70; // inflammation level to form pustule
-        this.RUPTURE_THRESHOLD = 90; // pus level to trigger rupture
+        this.RUPTURE_THRESHOLD = 90; // pus level to trigger rupture in an intact wall (see getRuptureThreshold)
         this.HEALING_THRESHOLD = 30; // healing progress to enter healing stage
         this.RESOLVED_THRESHOLD = 80; // healing progress to consider resolved
+        this.CAPSULE_THRESHOLD = 50; // capsule level that turns a nodule into a cyst
         
         // Progression accelerator (used to make simulation advance faster)
         this.progressionAccelerator = 1.0;
         
+        // Numerical integrator for the biological state: "euler", "rk4" or "rk45"
+        this.integrator = "rk4";
+        this.integratorOptions = { tolerance: 1e-4 }; // used by rk45
+        
         // Healing progress tracking
         this.healingProgress = 0;
+        
+        // Scheduled treatments and their combined effect this step (see regimen.js)
+        this.regimen = new Regimen();
+        this.drugEffects = this.regimen.getEffects();
+        this.DRUG_KILL_RATE = 0.4; // fraction of bacteria killed per hour at full bactericidal effect
+        this.ANTIBIOTIC_KILL_RATE = 0.2; // fraction of susceptible bacteria killed per hour at full antibiotic effect
+        this.DRUG_RESOLUTION_RATE = 0.1; // fraction of inflammation resolved per hour at full anti-inflammatory effect
+        
+        // Androgens, the menstrual cycle, age and stress scale sebum production (see hormones.js)
+        this.hormones = new HormoneProfile();
+        this.hormoneLevels = this.hormones.getLevels(0);
+        
+        // Temperature, humidity and friction over simulated time; the sliders fill in where
+        // nothing is scheduled (see environment.js)
+        this.environmentSchedule = new EnvironmentSchedule();
+        this.environment = this.getEnvironmentAt(0);
+        this.FRICTION_INFLAMMATION_RATE = 3; // inflammation per hour at full friction-driven irritation (acne mechanica)
+        
+        // Cytokine signalling
+        this.TLR2_HALF_ACTIVATION = 40; // bacterial load giving half-maximal TLR2 activation
+        this.CYTOKINE_RELEASE_RATE = 30; // cytokine released per hour at full TLR2 activation
+        this.CYTOKINE_DECAY_RATE = 0.3; // fraction of each cytokine cleared per hour (IL-10 lasts twice as long)
+        this.IL10_HALF_SUPPRESSION = 25; // IL-10 level halving pro-inflammatory release
+        this.CYTOKINE_INFLAMMATION_RATE = 10; // inflammation per hour at full IL-1β/TNF-α signal
+        this.NEUTROPHIL_RECRUITMENT_RATE = 8; // neutrophils recruited per hour at full IL-8
+        
+        // Macrophages, cytotoxic T cells (CTLs) and regulatory T cells (Tregs)
+        this.MACROPHAGE_RECRUITMENT_RATE = 3; // per hour at full cytokine/debris signal
+        this.MACROPHAGE_CLEARANCE_RATE = 1.5; // pus and spent neutrophils cleared per hour at full macrophages
+        this.MACROPHAGE_HEALING_RATE = 0.5; // extra healing progress per hour at full macrophages
+        this.CTL_RECRUITMENT_RATE = 4; // per hour at full IL-1β/TNF-α signal
+        this.CTL_WALL_DAMAGE = 20; // drop in the rupture threshold at full unchecked CTL activity
+        this.TREG_RECRUITMENT_RATE = 1; // per hour at full IL-10
+        this.TREG_HALF_SUPPRESSION = 30; // Treg level halving CTL activity
+        this.LYMPHOCYTE_TURNOVER_RATE = 0.03; // fraction of macrophages, CTLs and Tregs leaving per hour
+        
+        // Severe pathway: worsening lesions spread into deep nodules that fibroblasts wall off as cysts
+        this.CAPSULE_RATE = 1.0; // capsule laid down per hour at full inflammation and default healing
+        this.CAPSULE_REMODELLING_RATE = 0.01; // fraction of the capsule remodelled away per hour once healing
+        this.CAPSULE_BREAKDOWN_RATE = 0.05; // fraction of a burst capsule digested per hour while worsening
+        this.CYST_RESORPTION_RATE = 0.5; // cyst contents resorbed, relative to clearance in the healing stage
+        
+        // Inflammation spilling in from neighbouring follicles (0-100); set by SkinPatch each frame
+        this.dermalExposure = 0;
+        this.NEIGHBOUR_INFLAMMATION_RATE = 2; // inflammation per hour at full dermal exposure
+        
+        // Spatial field of bacteria, cytokines and inflammation in the dermis around the follicle
+        this.dermis = new DermisField();
+        this.DERMAL_LEAK_RATE = 0.1; // share of the follicle's levels leaking into the dermis per hour through a full breach
+        this.RUPTURE_SPREAD_RADIUS = 0.3; // scene units the contents burst out to on rupture
+        this.DERMAL_HALO_THRESHOLD = 10; // dermal inflammation outlining the inflamed area
+        
+        // Where topical treatments are applied on the skin around the follicle (see coverage.js)
+        this.coverage = new CoverageMask();
+        
+        // Agent-based mode: individual bacteria and neutrophils stand in for their levels (see agents.js)
+        this.agents = null;
+        
+        // Squeezing the lesion by hand (see squeeze()); rates are per real second at full pressure
+        this.wallDamage = 0; // weakening of the follicle wall by squeezing, subtracted from the rupture threshold
+        this.SQUEEZE_EXPEL_RATE = 0.5; // pus pushed out through the pore, as a rate on the pus left
+        this.SQUEEZE_PRESSURE = 50; // pus-level equivalent that full pressure adds against the wall
+        this.SQUEEZE_WALL_DAMAGE_RATE = 8; // wall damage per second, growing with the square of the pressure
+        this.MAX_WALL_DAMAGE = 30;
+        this.WALL_REPAIR_RATE = 0.05; // fraction of the wall damage repaired per simulated hour
+        this.SQUEEZE_LEAK_RATE = 0.05; // share of the follicle contents forced into the dermis per second
+        this.SQUEEZE_INFLAMMATION_RATE = 4; // inflammation per second from the trauma
+        this.SQUEEZE_TRAUMA_RATE = 0.1; // picking scar factor per second (see outcomes.js)
+        
+        // Whose skin the lesion is on (see patient.js); its phototype and scarring tendency shape the outcome
+        this.patient = createPatientProfile();
+        
+        // Scarring: factors accumulated over the run, and the outcome once resolved
+        this.scarFactors = createScarFactors();
+        this.scarRisk = 0;
+        this.outcome = null;
+        
+        // Follicular keratinisation
+        this.keratinStickiness = 1.0; // hidden: corneocyte cohesion; above 1 debris sheds more slowly
+        this.KERATIN_SHEDDING_RATE = 0.005; // fraction of retained debris shed per hour at normal stickiness
+        
+        // Open (blackhead) vs closed (whitehead) comedones, decided when the comedone forms
+        this.poreOpening = 0.5; // hidden: pore opening size relative to a wide pore (0-1)
+        this.comedoneType = null; // "open", "closed", or null before a comedone has formed
+        this.OXIDATION_RATE = 0.5; // oxidation per hour of an exposed plug
+        this.CLOSED_COMEDONE_GROWTH = 1.5; // bacterial growth factor in a sealed, anaerobic plug
+        this.OPEN_COMEDONE_GROWTH = 0.7; // bacterial growth factor in a plug exposed to air
+        
+        // Antibiotic resistance
+        this.BACTERIA_TURNOVER_RATE = 0.01; // natural die-off per hour, which lets fitter strains take over
+        this.RESISTANT_COLONISATION_FRACTION = 0.01; // share of colonising bacteria already resistant
+        this.RESISTANCE_MUTATION_RATE = 0.002; // share of susceptible growth that mutates to resistance
+        this.RESISTANCE_FITNESS_COST = 0.1; // growth penalty of resistant strains without antibiotics
+        
+        // Typed events (see SIMULATION_EVENTS)
+        this.events = new TypedEventEmitter(SIMULATION_EVENTS);
+    }
+    
+    // Total bacterial load (susceptible + resistant)
+    get currentBacteriaLevel() {
+        return this.currentSusceptibleBacteria + this.currentResistantBacteria;
     }
     
-    // Update derived rates based on slider values
-    updateDerivedRates() {
-        // Sebum production rate affected by temperature
-        this.sebumRate = 0.05 * (1 + 0.002 * (this.temperatureValue - 500)) * this.progressionAccelerator;
+    // Set the total bacterial load, keeping the resistant share (all susceptible if there was none)
+    set currentBacteriaLevel(level) {
+        const total = this.currentBacteriaLevel;
+        const resistantShare = total > 0 ? this.currentResistantBacteria / total : 0;
+        this.currentResistantBacteria = level * resistantShare;
+        this.currentSusceptibleBacteria = level - this.currentResistantBacteria;
+    }
+    
+    // Size of the follicular plug (0-100): keratin debris cemented by sebum, so it needs both
+    get currentPlugLevel() {
+        return Math.sqrt(this.currentSebumLevel * this.currentKeratinLevel);
+    }
+    
+    // CTL activity left after Treg suppression (0-100)
+    getCTLActivity() {
+        return this.currentCTLLevel / (1 + this.currentTregLevel / this.TREG_HALF_SUPPRESSION);
+    }
+    
+    // Pressure (as a pus level) the follicle wall withstands; CTL attack and squeezing weaken it
+    getWallStrength() {
+        return this.RUPTURE_THRESHOLD - this.CTL_WALL_DAMAGE * this.getCTLActivity() / 100 - this.wallDamage;
+    }
+    
+    // Pus level at which the follicle wall gives on its own; a pustule always forms first
+    getRuptureThreshold() {
+        return Math.max(this.PUS_THRESHOLD + 5, this.getWallStrength());
+    }
+    
+    // How close the plug sits to the surface (0 deep - 1 at the pore); sebum pushes it outward
+    getPlugPosition() {
+        const total = this.currentSebumLevel + this.currentKeratinLevel;
+        return total > 0 ? this.currentSebumLevel / total : 0;
+    }
+    
+    // A wide pore with the plug near the surface leaves it exposed (open); otherwise it stays sealed
+    decideComedoneType() {
+        return this.poreOpening + this.getPlugPosition() > 1 ? "open" : "closed";
+    }
+    
+    // How open the follicle is to the dermis (0-1). Only a broken follicle wall lets its
+    // contents out; it closes as it heals, and a cyst's capsule holds most of them back.
+    getWallBreach() {
+        const stage = this.simulationStage;
+        if (!["rupture", "healing", "worsening", "nodule", "cyst"].includes(stage)) return 0;
         
-        // Bacterial growth rate affected by temperature and medication
-        this.bacteriaGrowthRate = 0.05 * (1 + 0.001 * (this.temperatureValue - 500)) * 
-                              (1 - this.medicationValue / 2000) * this.progressionAccelerator;
+        if (stage === "cyst") return 1 - this.currentCapsuleLevel / 100;
+        if (stage === "healing") return 1 - this.healingProgress / 100;
+        return 1;
+    }
+    
+    // Inflammation this follicle spills into the surrounding dermis (0-100)
+    getDermalSpill() {
+        return this.currentInflammationLevel * this.getWallBreach();
+    }
+    
+    // Follicle contents at their current levels, as dermal field amounts
+    getFollicleContents() {
+        return {
+            bacteria: this.currentBacteriaLevel,
+            cytokines: (this.currentIL1BetaLevel + this.currentTNFAlphaLevel + this.currentIL8Level) / 3,
+            inflammation: this.currentInflammationLevel
+        };
+    }
+    
+    // Leak follicle contents through a broken wall into the dermis, then let the field spread and react
+    updateDermis(dt) {
+        const leak = this.DERMAL_LEAK_RATE * this.getWallBreach() * dt;
+        if (leak > 0) {
+            const contents = this.getFollicleContents();
+            Object.keys(contents).forEach(channel => {
+                contents[channel] *= leak;
+            });
+            this.dermis.inject(0, 0, contents);
+        }
+        
+        this.dermis.step(dt * this.progressionAccelerator);
+    }
+    
+    // Whether bacteria and neutrophils are simulated as individual agents
+    get agentMode() {
+        return this.agents !== null;
+    }
+    
+    // Switch between aggregate bacteria/neutrophil levels and individual agents. Agents
+    // start out matching the current levels.
+    setAgentMode(enabled) {
+        const previous = this.agentMode;
+        if (Boolean(enabled) === previous) return;
+        
+        this.agents = enabled ? new AgentModel() : null;
+        if (this.agents) {
+            this.populateAgents();
+        }
+        this.emitParamChange("agentMode", this.agentMode, previous);
+    }
+    
+    // Add or remove agents to match the current levels, then take the levels from the counts
+    populateAgents() {
+        this.agents.populate({
+            susceptible: this.currentSusceptibleBacteria,
+            resistant: this.currentResistantBacteria,
+            neutrophils: this.currentNeutrophilLevel
+        });
+        this.readAgentLevels();
+    }
+    
+    // Take the bacteria and neutrophil levels from the agent counts
+    readAgentLevels() {
+        const { susceptible, resistant, neutrophils } = this.agents.getLevels();
+        this.currentSusceptibleBacteria = susceptible;
+        this.currentResistantBacteria = resistant;
+        this.currentNeutrophilLevel = neutrophils;
+    }
+    
+    // Share of the bacterial load that is antibiotic-resistant (0-1)
+    getResistantFraction() {
+        const total = this.currentBacteriaLevel;
+        return total > 0 ? this.currentResistantBacteria / total : 0;
+    }
+    
+    // Listen for a simulation event; returns a function that removes the handler
+    on(type, handler) {
+        return this.events.on(type, handler);
+    }
+    
+    // Stop listening for a simulation event
+    off(type, handler) {
+        this.events.off(type, handler);
+    }
+    
+    // Emit a tick with the current state
+    emitTick() {
+        if (this.events.hasListeners("tick")) {
+            this.events.emit("tick", this.getState());
+        }
+    }
+    
+    // Emit a paramchange event when a setting actually changed
+    emitParamChange(key, value, previous) {
+        if (value !== previous) {
+            this.events.emit("paramchange", { key, value, previous });
+        }
+    }
+    
+    // Set slider parameters, e.g. setParameters({ sebumValue: 800 }); unknown keys are ignored
+    setParameters(params) {
+        Object.entries(params).forEach(([key, value]) => {
+            if (!PARAMETER_KEYS.includes(key) || !Number.isFinite(value)) return;
+            
+            const previous = this[key];
+            this[key] = Math.max(0, Math.min(1000, value));
+            this.environment = this.getEnvironmentAt(this.simulationTime);
+            this.emitParamChange(key, this[key], previous);
+        });
+    }
+    
+    // Current slider parameters
+    getParameters() {
+        const params = {};
+        PARAMETER_KEYS.forEach(key => {
+            params[key] = this[key];
+        });
+        return params;
+    }
+    
+    // Plain snapshot of the simulation state (safe to pass to a renderer or across a worker boundary)
+    getState() {
+        return {
+            stage: this.simulationStage,
+            simulationTime: this.simulationTime,
+            timeScale: this.timeScale,
+            sebumLevel: this.currentSebumLevel,
+            keratinLevel: this.currentKeratinLevel,
+            plugLevel: this.currentPlugLevel,
+            comedoneType: this.comedoneType,
+            oxidationLevel: this.currentOxidationLevel,
+            bacteriaLevel: this.currentBacteriaLevel,
+            susceptibleBacteriaLevel: this.currentSusceptibleBacteria,
+            resistantBacteriaLevel: this.currentResistantBacteria,
+            resistantFraction: this.getResistantFraction(),
+            inflammationLevel: this.currentInflammationLevel,
+            neutrophilLevel: this.currentNeutrophilLevel,
+            pusLevel: this.currentPusLevel,
+            capsuleLevel: this.currentCapsuleLevel,
+            dermalExposure: this.dermalExposure,
+            dermalInflammation: this.dermis.getPeak("inflammation"),
+            dermalSpread: this.dermis.getSpread("inflammation", this.DERMAL_HALO_THRESHOLD),
+            il1BetaLevel: this.currentIL1BetaLevel,
+            tnfAlphaLevel: this.currentTNFAlphaLevel,
+            il8Level: this.currentIL8Level,
+            il10Level: this.currentIL10Level,
+            macrophageLevel: this.currentMacrophageLevel,
+            ctlLevel: this.currentCTLLevel,
+            tregLevel: this.currentTregLevel,
+            ruptureThreshold: this.getRuptureThreshold(),
+            scarRisk: this.scarRisk,
+            outcome: this.outcome,
+            patient: {
+                name: this.patient.name,
+                phototype: this.patient.phototype,
+                skinColor: PHOTOTYPES[this.patient.phototype].skinColor
+            },
+            drugLevels: this.regimen.getSkinLevels(),
+            topicalCoverage: this.regimen.coverage,
+            drugEffects: { ...this.drugEffects },
+            hormones: { ...this.hormoneLevels },
+            environment: { ...this.environment },
+            healingProgress: this.healingProgress,
+            stageProgress: this.getStageProgress(),
+            progressionAccelerator: this.progressionAccelerator,
+            integrator: this.integrator,
+            agentMode: this.agentMode,
+            agentCounts: this.agents ? this.agents.getCounts() : null,
+            agents: this.agents ? this.agents.getPositions() : null,
+            parameters: this.getParameters()
+        };
+    }
+    
+    // Serializable snapshot of everything needed to resume this run (JSON.stringify calls this)
+    toJSON() {
+        const levels = {};
+        STATE_VARIABLES.forEach(({ key }) => {
+            levels[key] = this[key];
+        });
+        
+        return {
+            version: SNAPSHOT_VERSION,
+            parameters: this.getParameters(),
+            levels,
+            simulationStage: this.simulationStage,
+            simulationTime: this.simulationTime,
+            stageEnteredAt: this.stageEnteredAt,
+            wallDamage: this.wallDamage,
+            progressionAccelerator: this.progressionAccelerator,
+            keratinStickiness: this.keratinStickiness,
+            poreOpening: this.poreOpening,
+            comedoneType: this.comedoneType,
+            timeScale: this.timeScale,
+            integrator: this.integrator,
+            agentMode: this.agentMode,
+            regimen: this.regimen.toJSON(),
+            hormones: this.hormones.toJSON(),
+            environment: this.environmentSchedule.toJSON(),
+            patient: this.getPatientProfile(),
+            scarring: { factors: { ...this.scarFactors }, outcome: this.outcome },
+            dermis: this.dermis.toJSON(),
+            coverage: this.coverage.toJSON()
+        };
+    }
+    
+    // Create a simulation from a toJSON() snapshot
+    static fromJSON(data) {
+        const simulation = new AcneSimulation();
+        simulation.restore(data);
+        return simulation;
+    }
+    
+    // Replace the current run with a toJSON() snapshot. Throws if the snapshot is unusable.
+    restore(data) {
+        if (!data || data.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported simulation snapshot version: ${data && data.version}`);
+        }
+        if (!STAGE_GRAPH[data.simulationStage]) {
+            throw new Error(`Invalid stage in snapshot: ${data.simulationStage}`);
+        }
+        
+        this.setParameters(data.parameters || {});
+        if (Number.isFinite(data.progressionAccelerator)) {
+            this.setProgressionAccelerator(data.progressionAccelerator);
+        }
+        if (Number.isFinite(data.keratinStickiness) && data.keratinStickiness > 0) {
+            this.keratinStickiness = data.keratinStickiness;
+        }
+        if (Number.isFinite(data.poreOpening)) {
+            this.poreOpening = Math.max(0, Math.min(1, data.poreOpening));
+        }
+        this.comedoneType = data.comedoneType === "open" || data.comedoneType === "closed" ? data.comedoneType : null;
+        if (Number.isFinite(data.timeScale)) {
+            this.setTimeScale(data.timeScale);
+        }
+        if (data.integrator && INTEGRATORS[data.integrator]) {
+            this.setIntegrator(data.integrator);
+        }
+        if (typeof data.agentMode === "boolean") {
+            this.setAgentMode(data.agentMode);
+        }
+        
+        // Missing levels keep their current value; present ones are clamped to their bounds
+        const levels = data.levels || {};
+        this.setStateVector(STATE_VARIABLES.map(({ key }) => 
+            Number.isFinite(levels[key]) ? levels[key] : this[key]));
+        // Snapshots from before the susceptible/resistant split only have the total
+        if (Number.isFinite(levels.currentBacteriaLevel) && !Number.isFinite(levels.currentSusceptibleBacteria)) {
+            this.currentBacteriaLevel = Math.max(0, Math.min(100, levels.currentBacteriaLevel));
+        }
+        // Agent positions aren't saved; a fresh set is placed to match the levels
+        if (this.agents) {
+            this.agents.clear();
+            this.populateAgents();
+        }
+        
+        if (data.regimen) {
+            const previous = this.getRegimen();
+            this.regimen.restore(data.regimen);
+            this.drugEffects = this.regimen.getEffects();
+            this.events.emit("paramchange", { key: "regimen", value: this.getRegimen(), previous });
+        }
+        
+        // Older snapshots have no hormone profile and keep the current one
+        if (data.hormones) {
+            const previous = this.getHormones();
+            this.hormones.restore(data.hormones);
+            this.hormoneLevels = this.hormones.getLevels(Number.isFinite(data.simulationTime) ? data.simulationTime : 0);
+            this.events.emit("paramchange", { key: "hormones", value: this.getHormones(), previous });
+        }
+        
+        // Older snapshots have no environment schedule and keep the current one
+        if (data.environment) {
+            const previous = this.getEnvironmentSchedule();
+            this.environmentSchedule.restore(data.environment);
+            this.environment = this.getEnvironmentAt(Number.isFinite(data.simulationTime) ? data.simulationTime : 0);
+            this.events.emit("paramchange", { key: "environment", value: this.getEnvironmentSchedule(), previous });
+        }
+        
+        // Older snapshots have no patient and keep the current one. The profile's sebum, hormones
+        // and treatments are already restored with the rest of the snapshot.
+        if (data.patient) {
+            const previous = this.getPatientProfile();
+            this.patient = createPatientProfile(data.patient);
+            this.events.emit("paramchange", { key: "patient", value: this.getPatientProfile(), previous });
+        }
+        
+        // Scar factors are optional so older snapshots still load
+        this.scarFactors = createScarFactors();
+        this.outcome = null;
+        if (data.scarring) {
+            Object.keys(this.scarFactors).forEach(key => {
+                if (Number.isFinite(data.scarring.factors && data.scarring.factors[key])) {
+                    this.scarFactors[key] = data.scarring.factors[key];
+                }
+            });
+            this.outcome = data.scarring.outcome || null;
+        }
+        this.scarRisk = scarRisk(this.scarFactors, this.healingValue, this.patient.scarTendency);
+        this.wallDamage = Number.isFinite(data.wallDamage) ? Math.max(0, Math.min(this.MAX_WALL_DAMAGE, data.wallDamage)) : 0;
+        
+        // Older snapshots have no dermal field and start with a clear dermis
+        this.dermis.restore(data.dermis);
+        
+        // Older snapshots have no coverage mask and apply topicals everywhere
+        const previousCoverage = this.getCoverage();
+        this.coverage.restore(data.coverage);
+        this.applyCoverage(previousCoverage);
+        
+        const from = this.simulationStage;
+        this.simulationTime = Number.isFinite(data.simulationTime) ? Math.max(0, data.simulationTime) : 0;
+        this.stageEnteredAt = Number.isFinite(data.stageEnteredAt) ? data.stageEnteredAt : this.simulationTime;
+        this.simulationStage = data.simulationStage;
+        this.timeAccumulator = 0;
+        
+        this.events.emit("stagechange", { from, to: this.simulationStage, cause: "restore", time: this.simulationTime });
+    }
+    
+    // Update derived rates based on slider values; dt is the step in simulated hours
+    updateDerivedRates(dt) {
+        // Give scheduled doses and update drug levels over the step
+        this.regimen.advance(this.simulationTime, dt).forEach(dose => this.events.emit("dose", dose));
+        this.drugEffects = this.regimen.getEffects();
+        
+        // Hormone levels at the end of the step
+        this.hormones.advance(dt);
+        this.hormoneLevels = this.hormones.getLevels(this.simulationTime + dt);
+        
+        // Temperature, humidity and friction at the end of the step, from the schedule or the sliders
+        this.environment = this.getEnvironmentAt(this.simulationTime + dt);
+        const { temperature, humidity, friction } = this.environment;
+        
+        // Sebum production rate affected by temperature, hormones and sebosuppressive drugs (isotretinoin)
+        this.sebumRate = 0.05 * (1 + 0.002 * (temperature - 500)) * this.hormoneLevels.sebumFactor * 
+                         (1 - this.drugEffects.sebosuppressive) * this.progressionAccelerator;
+        
+        // Bacterial growth rate affected by temperature and bacteriostatic drugs
+        this.bacteriaGrowthRate = 0.05 * (1 + 0.001 * (temperature - 500)) * 
+                              (1 - this.drugEffects.bacteriostatic) * this.progressionAccelerator;
         
         // Friction affects baseline inflammation
         this.baselineInflammation = 0;
-        if (this.frictionValue > 300) {
-            this.baselineInflammation = (this.frictionValue - 300) / 1400; // Max 0.5 at friction 1000
+        if (friction > 300) {
+            this.baselineInflammation = (friction - 300) / 1400; // Max 0.5 at friction 1000
         }
         
         // Humidity affects sebum blockage
         this.humidityEffect = 1;
-        if (this.humidityValue > 600) {
-            this.humidityEffect = 1 + (this.humidityValue - 600) / 800; // Up to 1.5x at max humidity
+        if (humidity > 600) {
+            this.humidityEffect = 1 + (humidity - 600) / 800; // Up to 1.5x at max humidity
         }
         
-        // Update medication level based on current medication param
-        this.currentMedicationLevel = this.currentMedicationLevel * 0.99 + this.medicationValue * 0.01;
+        // Keratin debris production; humid skin swells the corneocytes and retains more of it
+        this.keratinRate = 0.5 * this.humidityEffect * this.progressionAccelerator;
+        
+        // Debris shedding; sticky debris hangs on, comedolytic drugs (retinoids) loosen it
+        this.keratinSheddingRate = this.KERATIN_SHEDDING_RATE * (1 + 4 * this.drugEffects.comedolytic) / 
+                                   this.keratinStickiness * this.progressionAccelerator;
+        
+        // A wall weakened by squeezing slowly repairs
+        this.wallDamage *= Math.exp(-this.WALL_REPAIR_RATE * (this.healingValue / 500) * dt);
     }
     
-    // Update biological state variables
-    updateBiologicalState(dt) {
-        // Update sebum level
-        const scaledSebumRate = this.sebumRate * (this.sebumValue / 500) * dt;
-        this.currentSebumLevel = Math.min(100, this.currentSebumLevel + scaledSebumRate);
-        
-        // If comedone formed, update bacteria
-        if (this.simulationStage !== "incubation") {
-            const baseBacteriaGrowth = this.currentBacteriaLevel > 0 ? 
-                this.currentBacteriaLevel * this.bacteriaGrowthRate * dt : 
-                this.bacteriaValue / 100 * dt * 2.0; // Double initial bacteria growth rate
-                
-            this.currentBacteriaLevel = Math.min(100, this.currentBacteriaLevel + baseBacteriaGrowth);
-            
-            // Apply medication effect
-            if (this.medicationValue > 0) {
-                this.currentBacteriaLevel = Math.max(0, this.currentBacteriaLevel - (this.medicationValue / 10000) * dt);
-            }
+    // Schedule a treatment (see Regimen.add); returns the scheduled entry or null
+    addTreatment(treatment) {
+        const previous = this.getRegimen();
+        const entry = this.regimen.add(treatment);
+        if (entry) {
+            this.emitParamChange("regimen", this.getRegimen(), previous);
+        }
+        return entry ? { ...entry } : null;
+    }
+    
+    // Remove a scheduled treatment by id
+    removeTreatment(id) {
+        const previous = this.getRegimen();
+        if (this.regimen.remove(id)) {
+            this.emitParamChange("regimen", this.getRegimen(), previous);
         }
+    }
+    
+    // Current treatment schedule
+    getRegimen() {
+        return this.regimen.getEntries();
+    }
+    
+    // Change the hormone profile, e.g. setHormones({ age: 15, cycle: true, cycleDay: 10 }).
+    // Settings not given are kept; see hormones.js.
+    setHormones(settings) {
+        const previous = this.getHormones();
+        this.hormones.set(settings);
         
-        // Update inflammation based on bacteria and sensitivity
-        if (this.currentBacteriaLevel > this.BACTERIA_THRESHOLD || 
-            (this.simulationStage === "comedone" || this.simulationStage === "papule")) {
-            
-            const inflammationRate = ((Math.max(this.currentBacteriaLevel, 30) - 30) / 40) * 
-                                      (this.inflammationValue / 500) * dt * this.progressionAccelerator;
-            this.currentInflammationLevel = Math.min(100, this.currentInflammationLevel + inflammationRate);
+        const value = this.getHormones();
+        if (Object.keys(value).some(key => value[key] !== previous[key])) {
+            this.hormoneLevels = this.hormones.getLevels(this.simulationTime);
+            this.events.emit("paramchange", { key: "hormones", value, previous });
+        }
+    }
+    
+    // Current hormone profile settings
+    getHormones() {
+        return this.hormones.getSettings();
+    }
+    
+    // Switch to a patient profile (see patient.js). Its baseline sebum, age, sex and treatments
+    // replace the sebum slider, the hormone age and cycle, and the treatment schedule.
+    setPatientProfile(settings) {
+        const previous = this.getPatientProfile();
+        this.patient = createPatientProfile(settings);
+        
+        this.setParameters({ sebumValue: this.patient.sebumValue });
+        this.setHormones({ age: this.patient.age, cycle: this.patient.sex === "female" });
+        
+        const previousRegimen = this.getRegimen();
+        previousRegimen.forEach(entry => this.regimen.remove(entry.id));
+        this.patient.treatments.forEach(treatment => this.regimen.add(treatment));
+        this.emitParamChange("regimen", this.getRegimen(), previousRegimen);
+        
+        this.scarRisk = scarRisk(this.scarFactors, this.healingValue, this.patient.scarTendency);
+        this.events.emit("paramchange", { key: "patient", value: this.getPatientProfile(), previous });
+    }
+    
+    // Current patient profile
+    getPatientProfile() {
+        return createPatientProfile(this.patient);
+    }
+    
+    // Replace the environment schedule with entries (see environment.js); invalid ones are skipped
+    setEnvironmentSchedule(entries) {
+        const previous = this.getEnvironmentSchedule();
+        this.environmentSchedule.clear();
+        entries.forEach(entry => this.environmentSchedule.add(entry));
+        this.environment = this.getEnvironmentAt(this.simulationTime);
+        this.emitParamChange("environment", this.getEnvironmentSchedule(), previous);
+    }
+    
+    // Schedule an environment entry, e.g. a mask worn 8 hours a day:
+    // addEnvironmentEntry({ factor: "friction", kind: "block", value: 800, startHour: 9, hours: 8 }).
+    // Returns the scheduled entry or null.
+    addEnvironmentEntry(entry) {
+        const previous = this.getEnvironmentSchedule();
+        const added = this.environmentSchedule.add(entry);
+        if (added) {
+            this.environment = this.getEnvironmentAt(this.simulationTime);
+            this.emitParamChange("environment", this.getEnvironmentSchedule(), previous);
+        }
+        return added ? { ...added } : null;
+    }
+    
+    // Remove an environment entry by id
+    removeEnvironmentEntry(id) {
+        const previous = this.getEnvironmentSchedule();
+        if (this.environmentSchedule.remove(id)) {
+            this.environment = this.getEnvironmentAt(this.simulationTime);
+            this.emitParamChange("environment", this.getEnvironmentSchedule(), previous);
+        }
+    }
+    
+    // Current environment schedule
+    getEnvironmentSchedule() {
+        return this.environmentSchedule.getEntries();
+    }
+    
+    // Temperature, humidity and friction (0-1000) at simulated hour t
+    getEnvironmentAt(t) {
+        return this.environmentSchedule.getValues(t, {
+            temperature: this.temperatureValue,
+            humidity: this.humidityValue,
+            friction: this.frictionValue
+        });
+    }
+    
+    // Paint topical coverage with a brush of the given radius at (x, z) in scene units relative
+    // to the follicle; a negative amount wipes it off (see CoverageMask.paint)
+    paintCoverage(x, z, radius, amount = 1) {
+        const previous = this.getCoverage();
+        this.coverage.paint(x, z, radius, amount);
+        this.applyCoverage(previous);
+    }
+    
+    // Cover the whole skin (1, a full-face application) or none of it (0)
+    fillCoverage(value) {
+        const previous = this.getCoverage();
+        this.coverage.fill(value);
+        this.applyCoverage(previous);
+    }
+    
+    // Topical coverage (0-1) at (x, z) in scene units relative to the follicle
+    getCoverageAt(x, z) {
+        return this.coverage.sample(x, z);
+    }
+    
+    // Coverage reaching the lesion and across the whole mask (0-1)
+    getCoverage() {
+        return { lesion: this.regimen.coverage, average: this.coverage.getAverage() };
+    }
+    
+    // Share of each topical dose that reaches this follicle (0-1). Follows the mask at the
+    // follicle; SkinPatch sets it for follicles away from the mask's centre.
+    setTopicalCoverage(value) {
+        const previous = this.regimen.coverage;
+        this.regimen.coverage = Math.max(0, Math.min(1, value));
+        this.emitParamChange("topicalCoverage", this.regimen.coverage, previous);
+    }
+    
+    // The mask changed: topicals now reach the follicle as far as the mask covers it
+    applyCoverage(previous) {
+        this.setTopicalCoverage(this.coverage.sample(0, 0));
+        this.events.emit("paramchange", { key: "coverage", value: this.getCoverage(), previous });
+    }
+    
+    // Skin drug levels the schedule produces from hour 0 to hours, per product (for charting)
+    predictDrugLevels(hours, samples) {
+        return this.regimen.predictLevels(hours, samples);
+    }
+    
+    // Squeeze the lesion with pressure (0-1) for a number of real seconds, as the user does by
+    // holding the mouse on it. Pus escapes through the pore of a pustule or an open rupture,
+    // but the pressure also inflames the follicle, forces its contents into the dermis, weakens
+    // the wall (lowering the rupture threshold for some time) and adds to the scar risk. A
+    // papule or pustule bursts once its pus plus the applied pressure exceeds the wall's
+    // strength. Returns { expelled, ruptured }: the pus level removed and whether it burst.
+    squeeze(pressure, seconds) {
+        const result = this.applySqueeze(pressure, seconds);
+        this.emitTick();
+        return result;
+    }
+    
+    // squeeze() without the tick, for procedures that press on the lesion and report once
+    // they are done
+    applySqueeze(pressure, seconds) {
+        const stage = this.simulationStage;
+        pressure = Math.max(0, Math.min(1, pressure));
+        if (pressure <= 0 || !(seconds > 0) || stage === "incubation" || stage === "resolved") {
+            return { expelled: 0, ruptured: false };
+        }
+        const force = pressure * seconds;
+        
+        // Pus escapes with some of the bacteria suspended in it
+        let expelled = 0;
+        if (stage === "pustule" || stage === "rupture") {
+            const share = 1 - Math.exp(-this.SQUEEZE_EXPEL_RATE * force);
+            expelled = this.currentPusLevel * share;
+            this.currentPusLevel -= expelled;
+            this.currentBacteriaLevel *= 1 - share / 2;
+        }
+        
+        // Pressing on an inflamed follicle drives its contents through the wall
+        if (stage !== "comedone" && stage !== "healing") {
+            const contents = this.getFollicleContents();
+            Object.keys(contents).forEach(channel => {
+                contents[channel] *= this.SQUEEZE_LEAK_RATE * force;
+            });
+            this.dermis.inject(0, 0, contents, this.RUPTURE_SPREAD_RADIUS);
+        }
+        
+        this.currentInflammationLevel += this.SQUEEZE_INFLAMMATION_RATE * force * headroom(this.currentInflammationLevel);
+        this.wallDamage = Math.min(this.MAX_WALL_DAMAGE, this.wallDamage + this.SQUEEZE_WALL_DAMAGE_RATE * pressure * force);
+        this.scarFactors.picking += this.SQUEEZE_TRAUMA_RATE * force;
+        this.scarRisk = scarRisk(this.scarFactors, this.healingValue, this.patient.scarTendency);
+        if (this.agents) {
+            this.populateAgents();
+        }
+        
+        const ruptured = (stage === "papule" || stage === "pustule") &&
+                         this.currentPusLevel + this.SQUEEZE_PRESSURE * pressure > this.getWallStrength();
+        if (ruptured) {
+            this.enterStage("rupture", "squeeze");
+        }
+        
+        return { expelled, ruptured };
+    }
+    
+    // Perform a clinical procedure on the lesion at its current stage, e.g.
+    // performProcedure("drainage") (see PROCEDURES). Returns the procedure event, or null
+    // for an unknown procedure.
+    performProcedure(id) {
+        const procedure = PROCEDURES[id];
+        if (!procedure) {
+            console.error(`Unknown procedure: ${id}`);
+            return null;
+        }
+        
+        const stage = this.simulationStage;
+        const result = procedure.perform(this);
+        this.scarRisk = scarRisk(this.scarFactors, this.healingValue, this.patient.scarTendency);
+        this.drugEffects = this.regimen.getEffects();
+        if (this.agents) {
+            this.populateAgents();
+        }
+        
+        const event = { procedure: id, stage, indicated: procedure.stages.includes(stage), result, time: this.simulationTime };
+        this.events.emit("procedure", event);
+        this.emitTick();
+        return { ...event };
+    }
+    
+    // Set the numerical integrator used for the biological state
+    setIntegrator(name) {
+        if (!INTEGRATORS[name]) {
+            console.error(`Unknown integrator: ${name}`);
+            return;
+        }
+        
+        const previous = this.integrator;
+        this.integrator = name;
+        this.integratorOptions.suggestedStep = undefined;
+        this.emitParamChange("integrator", name, previous);
+    }
+    
+    // Bacterial rates at a total load of bacteria, shared by the ODE and the agent-based mode.
+    // Growth and death are per bacterium per hour (each strain has its own), colonisation is in levels per hour, and
+    // growth and colonisation are already held back by the follicle's carrying capacity.
+    getBacteriaRates(bacteria) {
+        // A resolved follicle no longer feeds a colony, so the bacteria left only die back
+        const capacity = this.simulationStage === "resolved" ? 0 : headroom(bacteria);
+        
+        // Anaerobic C. acnes thrives in a sealed (closed) comedone and struggles in an open one
+        let growthRate = this.bacteriaGrowthRate;
+        if (this.simulationStage === "comedone" && this.comedoneType) {
+            growthRate *= this.comedoneType === "closed" ? this.CLOSED_COMEDONE_GROWTH : this.OPEN_COMEDONE_GROWTH;
+        }
+        
+        // Natural turnover and bactericidal drugs (benzoyl peroxide) kill both strains; drugs keep
+        // pace with the accelerated growth they act against
+        const death = (this.BACTERIA_TURNOVER_RATE + this.drugEffects.bactericidal * this.DRUG_KILL_RATE) * 
+                      this.progressionAccelerator;
+        
+        return {
+            colonisation: this.bacteriaValue / 1000 * 0.5 * capacity,
+            resistantColonisation: this.RESISTANT_COLONISATION_FRACTION, // share of colonising bacteria already resistant
+            // Antibiotics only hold back and kill susceptible bacteria; resistant ones pay a fitness cost
+            susceptibleGrowth: growthRate * (1 - this.drugEffects.antibiotic) * capacity,
+            resistantGrowth: growthRate * (1 - this.RESISTANCE_FITNESS_COST) * capacity,
+            mutation: this.RESISTANCE_MUTATION_RATE, // share of susceptible growth that is resistant
+            susceptibleDeath: death + this.drugEffects.antibiotic * this.ANTIBIOTIC_KILL_RATE * this.progressionAccelerator,
+            resistantDeath: death
+        };
+    }
+    
+    // Neutrophil recruitment and clearance in levels per hour at the given levels, shared by
+    // the ODE and the agent-based mode
+    getNeutrophilRates(il8, neutrophils, macrophages, capsule) {
+        const stage = this.simulationStage;
+        const chronic = stage === "worsening" || stage === "nodule" || stage === "cyst";
+        const walledOff = stage === "cyst" ? capsule / 100 : 0;
+        const healingRate = this.healingValue / 500;
+        
+        // IL-8 recruits neutrophils by chemotaxis, though they can't get through a cyst's capsule
+        const recruitment = this.NEUTROPHIL_RECRUITMENT_RATE * (il8 / 100) * (1 - walledOff) * 
+                            this.progressionAccelerator * headroom(neutrophils);
+        
+        // Once the contents are out, macrophages clear spent neutrophils; a cyst resorbs them
+        // slowly (at the pace of its pus, see derivatives) and repair clears the rest
+        let clearance = 0;
+        if (stage === "rupture" || stage === "healing" || stage === "resolved" || chronic) {
+            clearance += this.MACROPHAGE_CLEARANCE_RATE * (macrophages / 100) * (1 - walledOff) * this.progressionAccelerator;
+        }
+        if (stage === "cyst") {
+            clearance += this.CYST_RESORPTION_RATE * (1 + healingRate) / 2 * this.progressionAccelerator * 1.2;
+        }
+        if (stage === "healing" || stage === "resolved") {
+            clearance += healingRate * 1.2;
+        }
+        
+        return { recruitment, clearance: clearance * depletion(neutrophils) };
+    }
+    
+    // Biological state as a vector ordered like STATE_VARIABLES
+    getStateVector() {
+        return STATE_VARIABLES.map(({ key }) => this[key]);
+    }
+    
+    // Write a state vector back, keeping each variable within its bounds
+    setStateVector(y) {
+        STATE_VARIABLES.forEach(({ key, min, max }, i) => {
+            this[key] = Math.max(min, Math.min(max, y[i]));
+        });
+    }
+    
+    // Right-hand side of the ODE system: rates of change (per simulated hour) for state vector y.
+    // Growth terms taper off with headroom() and decay terms with depletion() instead of being
+    // clamped, so the vector field stays continuous and the result converges as the step shrinks.
+    derivatives(y) {
+        const [sebum, keratin, oxidation, susceptible, resistant, inflammation, neutrophils, il1b, tnfa, il8, il10,
+               macrophages, ctls, tregs, pus, capsule, healing] = y;
+        const bacteria = susceptible + resistant;
+        const stage = this.simulationStage;
+        const chronic = stage === "worsening" || stage === "nodule" || stage === "cyst";
+        // A lesion exists from the comedone on; once it has resolved, its bacteria no longer
+        // set off the immune response
+        const lesion = stage !== "incubation" && stage !== "resolved";
+        let dSebum = 0;
+        let dKeratin = 0;
+        let dOxidation = 0;
+        let dSusceptible = 0;
+        let dResistant = 0;
+        let dInflammation = 0;
+        let dNeutrophils = 0;
+        let dIL1b = 0;
+        let dTNFa = 0;
+        let dIL8 = 0;
+        let dIL10 = 0;
+        let dMacrophages = 0;
+        let dCTLs = 0;
+        let dTregs = 0;
+        let dPus = 0;
+        let dCapsule = 0;
+        let dHealing = 0;
+        
+        // Sebum accumulates at a rate set by the sebum slider
+        dSebum += this.sebumRate * (this.sebumValue / 500) * headroom(sebum);
+        
+        // Keratinocyte debris builds up in the follicle unless it is shed
+        dKeratin += this.keratinRate * headroom(keratin) - this.keratinSheddingRate * keratin;
+        
+        // The exposed tip of an open comedone darkens as melanin and lipids oxidise
+        if (stage === "comedone" && this.comedoneType === "open") {
+            dOxidation += this.OXIDATION_RATE * this.progressionAccelerator * headroom(oxidation);
+        }
+        
+        // Once a comedone has formed, bacteria colonise the plug and grow exponentially.
+        // Both strains share the follicle's carrying capacity.
+        if (stage !== "incubation") {
+            const rates = this.getBacteriaRates(bacteria);
+            const susceptibleGrowth = susceptible * rates.susceptibleGrowth;
+            const mutation = susceptibleGrowth * rates.mutation;
             
-            // Increase neutrophil count with inflammation
-            if (this.currentInflammationLevel > this.INFLAMMATION_THRESHOLD / 2) {
-                this.currentNeutrophilLevel = Math.min(100, this.currentNeutrophilLevel + inflammationRate * 2.0);
-            }
+            dSusceptible += rates.colonisation * (1 - rates.resistantColonisation) + susceptibleGrowth - mutation - 
+                            rates.susceptibleDeath * susceptible;
+            dResistant += rates.colonisation * rates.resistantColonisation + resistant * rates.resistantGrowth + mutation - 
+                          rates.resistantDeath * resistant;
         }
         
-        // Update pus level based on neutrophils
-        if (this.currentNeutrophilLevel > 10 && 
-            (this.simulationStage === "papule" || this.simulationStage === "pustule")) {
-            this.currentPusLevel = Math.min(100, this.currentPusLevel + (this.currentNeutrophilLevel / 80) * dt * this.progressionAccelerator);
+        // Cytokine signalling. Bacteria activate TLR2, which releases IL-1β and TNF-α; these and
+        // TLR2 itself induce the chemokine IL-8. IL-10 is induced by the pro-inflammatory
+        // cytokines and feeds back to suppress their release.
+        // A cyst's capsule hides the bacteria inside it from the immune system.
+        const walledOff = stage === "cyst" ? capsule / 100 : 0;
+        const tlr2Activation = lesion ? bacteria / (bacteria + this.TLR2_HALF_ACTIVATION) * (1 - walledOff) : 0;
+        const proInflammatory = (il1b + tnfa) / 200;
+        const release = this.CYTOKINE_RELEASE_RATE * (this.inflammationValue / 500) * 
+                        (1 - this.drugEffects.antiInflammatory) / 
+                        (1 + il10 / this.IL10_HALF_SUPPRESSION) * this.progressionAccelerator;
+        const cytokineDecay = this.CYTOKINE_DECAY_RATE * this.progressionAccelerator;
+        
+        dIL1b += release * tlr2Activation * headroom(il1b) - cytokineDecay * il1b;
+        dTNFa += release * 0.8 * tlr2Activation * headroom(tnfa) - cytokineDecay * tnfa;
+        dIL8 += release * (0.5 * tlr2Activation + proInflammatory) * headroom(il8) - cytokineDecay * il8;
+        dIL10 += 10 * proInflammatory * this.progressionAccelerator * headroom(il10) - cytokineDecay * 0.5 * il10;
+        
+        // IL-1β and TNF-α drive inflammation once their combined signal rises above background
+        dInflammation += this.CYTOKINE_INFLAMMATION_RATE * Math.max(0, proInflammatory - 0.2) * 
+                         this.progressionAccelerator * headroom(inflammation);
+        
+        // Neutrophils follow IL-8 in and are cleared once the lesion opens or heals
+        const neutrophilRates = this.getNeutrophilRates(il8, neutrophils, macrophages, capsule);
+        dNeutrophils += neutrophilRates.recruitment - neutrophilRates.clearance;
+        
+        // Adaptive and repair cells arrive with the cytokine signal and leave at a steady rate
+        const lymphocyteTurnover = this.LYMPHOCYTE_TURNOVER_RATE * this.progressionAccelerator;
+        const ctlActivity = 1 / (1 + tregs / this.TREG_HALF_SUPPRESSION);
+        
+        // Macrophages follow the cytokines and the debris left by neutrophils
+        dMacrophages += this.MACROPHAGE_RECRUITMENT_RATE * (proInflammatory + pus / 100) / 2 * 
+                        this.progressionAccelerator * headroom(macrophages) - lymphocyteTurnover * macrophages;
+        
+        // CTLs are primed by IL-1β/TNF-α; Tregs hold back their recruitment
+        dCTLs += this.CTL_RECRUITMENT_RATE * proInflammatory * ctlActivity * 
+                 this.progressionAccelerator * headroom(ctls) - lymphocyteTurnover * ctls;
+        
+        // Tregs are induced by IL-10 and by CTL activity itself
+        dTregs += this.TREG_RECRUITMENT_RATE * (il10 / 100 + ctls / 200) * 
+                  this.progressionAccelerator * headroom(tregs) - lymphocyteTurnover * tregs;
+        
+        // Inflammation spreading through the dermis from ruptured neighbours, and rubbing and pressure
+        // (acne mechanica), only inflame a plugged follicle. One without a lesion has nothing to
+        // resolve the inflammation again, so it would keep it for good.
+        if (lesion) {
+            dInflammation += this.NEIGHBOUR_INFLAMMATION_RATE * (this.dermalExposure / 100) * 
+                             this.progressionAccelerator * headroom(inflammation);
+            dInflammation += this.FRICTION_INFLAMMATION_RATE * this.baselineInflammation * 
+                             this.progressionAccelerator * headroom(inflammation);
         }
         
-        // Handle healing phase
-        if (this.simulationStage === "healing" || this.simulationStage === "resolved") {
-            const healingRate = (this.healingValue / 500) * dt;
+        // Anti-inflammatory treatment damps the response at any stage
+        dInflammation -= this.drugEffects.antiInflammatory * this.DRUG_RESOLUTION_RATE * this.progressionAccelerator * inflammation;
+        
+        // Update pus level based on neutrophils; a capsule cuts neutrophils in a cyst off from most of the bacteria
+        if (neutrophils > 10 && (stage === "papule" || stage === "pustule" || stage === "nodule" || stage === "cyst")) {
+            dPus += (neutrophils / 80) * (1 - 0.75 * walledOff) * this.progressionAccelerator * headroom(pus);
+        }
+        
+        // Wound repair starts as soon as the follicle ruptures
+        if (stage === "rupture") {
+            dHealing += (this.healingValue / 500) * headroom(healing);
+        }
+        
+        // Once the contents are out, macrophages clear pus and drive repair
+        if (stage === "rupture" || stage === "healing" || stage === "resolved" || chronic) {
+            const clearance = this.MACROPHAGE_CLEARANCE_RATE * (macrophages / 100) * (1 - walledOff) * this.progressionAccelerator;
+            dPus -= clearance * depletion(pus);
             
-            this.currentInflammationLevel = Math.max(0, this.currentInflammationLevel - healingRate);
-            this.currentNeutrophilLevel = Math.max(0, this.currentNeutrophilLevel - healingRate * 1.2);
-            this.currentPusLevel = Math.max(0, this.currentPusLevel - healingRate * 0.8);
+            if (!chronic) {
+                dHealing += this.MACROPHAGE_HEALING_RATE * (macrophages / 100) * headroom(healing);
+            }
+        }
+        
+        // Chronic lesions resolve once the cytokine drive dies down. Deep lesions that stay
+        // inflamed get walled off by a fibrous capsule and a walled-off cyst's contents are
+        // resorbed. All of this goes faster when repair is strong, but carries on without it;
+        // a burst capsule is digested. Every rate here follows the accelerator, like the pus
+        // and capsule growth they race.
+        if (chronic) {
+            const repairRate = (1 + this.healingValue / 500) / 2 * this.progressionAccelerator;
+            dInflammation -= repairRate * depletion(inflammation);
             
-            if (this.simulationStage === "healing" && 
-                this.currentInflammationLevel < 10 && this.currentPusLevel < 5) {
-                this.simulationStage = "resolved";
+            if (stage === "worsening") {
+                dCapsule -= this.CAPSULE_BREAKDOWN_RATE * this.progressionAccelerator * capsule;
+            } else {
+                dCapsule += this.CAPSULE_RATE * repairRate * (inflammation / 100) * headroom(capsule);
             }
             
-            // Increase healing progress
-            this.healingProgress += healingRate;
-            this.healingProgress = Math.min(this.healingProgress, 100);
+            if (stage === "cyst") {
+                dPus -= this.CYST_RESORPTION_RATE * repairRate * 0.8 * depletion(pus);
+            }
         }
         
+        // Handle healing phase
+        if (stage === "healing" || stage === "resolved") {
+            const healingRate = this.healingValue / 500;
+            
+            dInflammation -= healingRate * depletion(inflammation);
+            dPus -= healingRate * 0.8 * depletion(pus);
+            dHealing += healingRate * headroom(healing);
+            dCapsule -= this.CAPSULE_REMODELLING_RATE * this.progressionAccelerator * capsule;
+        }
+        
+        return [dSebum, dKeratin, dOxidation, dSusceptible, dResistant, dInflammation, dNeutrophils, dIL1b, dTNFa, dIL8, dIL10,
+                dMacrophages, dCTLs, dTregs, dPus, dCapsule, dHealing];
+    }
+    
+    // Update biological state variables by integrating the ODE system over dt simulated hours
+    updateBiologicalState(dt) {
+        const integrator = INTEGRATORS[this.integrator] || INTEGRATORS.rk4;
+        const derivatives = (t, y) => this.derivatives(y);
+        
+        this.setStateVector(integrator(derivatives, this.simulationTime, this.getStateVector(), dt, this.integratorOptions));
+        
         // Log the current state periodically 
         if (Math.floor(this.simulationTime) % 10 === 0 && Math.floor(this.simulationTime / 10) !== this.lastLogTime) {
             this.lastLogTime = Math.floor(this.simulationTime / 10);
-            console.log(`Simulation time: ${Math.floor(this.simulationTime)}h, Stage: ${this.simulationStage}, Sebum: ${this.currentSebumLevel.toFixed(1)}, Bacteria: ${this.currentBacteriaLevel.toFixed(1)}, Inflammation: ${this.currentInflammationLevel.toFixed(1)}, Neutrophils: ${this.currentNeutrophilLevel.toFixed(1)}, Pus: ${this.currentPusLevel.toFixed(1)}`);
+            console.log(`Simulation time: ${Math.floor(this.simulationTime)}h, Stage: ${this.simulationStage}, Sebum: ${this.currentSebumLevel.toFixed(1)}, Bacteria: ${this.currentBacteriaLevel.toFixed(1)} (${(this.getResistantFraction() * 100).toFixed(0)}% resistant), Inflammation: ${this.currentInflammationLevel.toFixed(1)}, Neutrophils: ${this.currentNeutrophilLevel.toFixed(1)}, Pus: ${this.currentPusLevel.toFixed(1)}`);
         }
     }
     
-    // Check for stage transitions
+    // Check for stage transitions declared in the stage graph
     checkStageTransitions() {
-        console.log("Checking stage transitions...");
-        
-        switch (this.simulationStage) {
-            case "incubation":
-                // Transition to comedone when bacteria and inflammation reach thresholds
-                if (this.currentBacteriaLevel > this.BACTERIA_THRESHOLD && 
-                    this.currentInflammationLevel > this.INFLAMMATION_THRESHOLD) {
-                    console.log("Transitioning from incubation to comedone");
-                    this.simulationStage = "comedone";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "comedone":
-                // Transition to papule when inflammation increases significantly
-                if (this.currentInflammationLevel > this.INFLAMMATION_THRESHOLD) {
-                    console.log("Transitioning from comedone to papule");
-                    this.simulationStage = "papule";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "papule":
-                // Transition to pustule when pus formation begins
-                if (this.currentPusLevel > this.PUS_THRESHOLD) {
-                    console.log("Transitioning from papule to pustule");
-                    this.simulationStage = "pustule";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "pustule":
-                // Transition to rupture when pressure builds up
-                if (this.currentPusLevel > this.RUPTURE_THRESHOLD) {
-                    console.log("Transitioning from pustule to rupture");
-                    this.simulationStage = "rupture";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "rupture":
-                // Check if healing is successful or if condition worsens
-                if (this.healingProgress > this.HEALING_THRESHOLD) {
-                    console.log("Healing successful, transitioning to healing stage");
-                    this.simulationStage = "healing";
-                    this.updateStageVisuals();
-                } else if (this.currentBacteriaLevel > this.BACTERIA_THRESHOLD || 
-                          this.currentInflammationLevel > this.BACTERIA_THRESHOLD) {
-                    console.log("Healing unsuccessful, condition worsening");
-                    this.simulationStage = "worsening";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "healing":
-                // Transition to resolved when healing is complete
-                if (this.healingProgress >= this.RESOLVED_THRESHOLD) {
-                    console.log("Healing complete, transitioning to resolved");
-                    this.simulationStage = "resolved";
-                    this.updateStageVisuals();
-                }
-                break;
-                
-            case "worsening":
-                // Stay in worsening stage until manually reset
-                console.log("Remaining in worsening stage");
-                break;
-                
-            case "resolved":
-                // Stay in resolved stage until manually reset
-                console.log("Remaining in resolved stage");
-                break;
+        const transition = STAGE_GRAPH[this.simulationStage].transitions.find(t => t.when(this));
+        
+        if (transition) {
+            console.log(`Transitioning from ${this.simulationStage} to ${transition.to}`);
+            this.enterStage(transition.to, "organic");
+        }
+    }
+    
+    // Make a stage current and start its clock. Manual entries (anything but "organic")
+    // apply the stage's seeded state. Every path emits the same stagechange event.
+    enterStage(stage, cause) {
+        const from = this.simulationStage;
+        
+        this.simulationStage = stage;
+        this.stageEnteredAt = this.simulationTime;
+        
+        // A lesion burst by squeezing or changed by a procedure keeps its levels, like one
+        // that got there on its own
+        if (!["organic", "squeeze", "procedure"].includes(cause)) {
+            this.applyStageSeed();
+            if (this.agents) {
+                this.populateAgents();
+            }
+        }
+        
+        // Whether the comedone is open or closed is settled as it forms
+        if (stage === "comedone") {
+            this.comedoneType = this.decideComedoneType();
+        } else if (stage === "incubation") {
+            this.comedoneType = null;
+        }
+        
+        // A rupture, or a cyst bursting, throws the follicle contents out into the dermis
+        if (stage === "rupture" || (stage === "worsening" && from === "cyst")) {
+            this.dermis.inject(0, 0, this.getFollicleContents(), this.RUPTURE_SPREAD_RADIUS);
+        }
+        
+        // A lesion that resolves leaves its mark; leaving "resolved" clears it again
+        this.outcome = stage === "resolved" ? assessOutcome(this.scarFactors, this.healingValue, {
+            scarTendency: this.patient.scarTendency,
+            pihSusceptibility: PHOTOTYPES[this.patient.phototype].pihSusceptibility
+        }) : null;
+        
+        this.events.emit("stagechange", { from, to: stage, cause, time: this.simulationTime });
+        
+        if (this.outcome) {
+            this.events.emit("outcome", { ...this.outcome });
+        }
+    }
+    
+    // Accumulate the factors that decide how the lesion heals over the last dt hours
+    trackScarring(dt) {
+        if (this.simulationStage === "resolved") return;
+        
+        const factors = this.scarFactors;
+        factors.peakInflammation = Math.max(factors.peakInflammation, this.currentInflammationLevel);
+        factors.lesionDepth = Math.max(factors.lesionDepth, STAGE_GRAPH[this.simulationStage].depth);
+        factors.inflammationBurden += dt * (this.currentInflammationLevel / 100) * factors.lesionDepth;
+        if (["rupture", "worsening", "nodule", "cyst"].includes(this.simulationStage)) {
+            factors.ruptureHours += dt;
         }
+        
+        this.scarRisk = scarRisk(factors, this.healingValue, this.patient.scarTendency);
+    }
+    
+    // Current values of the levels watched for threshold crossings
+    readThresholdLevels() {
+        return THRESHOLD_WATCHES.map(({ level }) => this[level]);
+    }
+    
+    // Emit threshold events for levels that crossed a threshold since readThresholdLevels()
+    emitThresholdCrossings(previousLevels) {
+        THRESHOLD_WATCHES.forEach(({ name, level }, i) => {
+            const threshold = this[name];
+            const previous = previousLevels[i];
+            const value = this[level];
+            
+            if (previous < threshold && value >= threshold) {
+                this.events.emit("threshold", { name, level, value, threshold, direction: "up", time: this.simulationTime });
+            } else if (previous >= threshold && value < threshold) {
+                this.events.emit("threshold", { name, level, value, threshold, direction: "down", time: this.simulationTime });
+            }
+        });
+    }
+    
+    // Simulated hours spent in the current stage
+    getTimeInStage() {
+        return this.simulationTime - this.stageEnteredAt;
+    }
+    
+    // Apply the stage graph's seeded state for the current stage
+    applyStageSeed() {
+        Object.assign(this, STAGE_GRAPH[this.simulationStage].seed(this));
     }
     
     // Set the progression accelerator (useful for advancing through stages quicker)
     setProgressionAccelerator(value) {
+        const previous = this.progressionAccelerator;
         this.progressionAccelerator = Math.max(0.1, Math.min(10.0, value));
         console.log(`Progression accelerator set to: ${this.progressionAccelerator.toFixed(1)}x`);
+        this.emitParamChange("progressionAccelerator", this.progressionAccelerator, previous);
     }
     
     // Force advance to next stage manually
     advanceToNextStage() {
-        switch (this.simulationStage) {
-            case "incubation":
-                this.simulationStage = "comedone";
-                this.currentSebumLevel = this.SEBUM_THRESHOLD;
-                console.log("MANUAL ADVANCE: Incubation → Comedone");
-                break;
-                
-            case "comedone":
-                this.simulationStage = "papule";
-                this.currentInflammationLevel = this.INFLAMMATION_THRESHOLD;
-                this.currentBacteriaLevel = Math.max(this.currentBacteriaLevel, this.BACTERIA_THRESHOLD + 5);
-                console.log("MANUAL ADVANCE: Comedone → Papule");
-                break;
-                
-            case "papule":
-                this.simulationStage = "pustule";
-                this.currentPusLevel = this.PUS_THRESHOLD;
-                console.log("MANUAL ADVANCE: Papule → Pustule");
-                break;
-                
-            case "pustule":
-                this.simulationStage = "rupture";
-                this.currentPusLevel = this.RUPTURE_THRESHOLD;
-                this.healingProgress = 0; // Reset healing progress
-                console.log("MANUAL ADVANCE: Pustule → Rupture");
-                break;
-                
-            case "rupture":
-                this.simulationStage = "healing";
-                this.healingProgress = this.HEALING_THRESHOLD;
-                console.log("MANUAL ADVANCE: Rupture → Healing");
-                break;
-                
-            case "healing":
-                this.simulationStage = "resolved";
-                this.healingProgress = this.RESOLVED_THRESHOLD;
-                this.currentInflammationLevel = 0;
-                this.currentPusLevel = 0;
-                console.log("MANUAL ADVANCE: Healing → Resolved");
-                break;
-                
-            case "resolved":
-                // Reset the simulation to start again
-                this.simulationStage = "incubation";
-                this.currentSebumLevel = 20;
-                this.currentBacteriaLevel = 0;
-                this.currentInflammationLevel = 0;
-                this.currentNeutrophilLevel = 0;
-                this.currentPusLevel = 0;
-                this.healingProgress = 0;
-                console.log("MANUAL ADVANCE: Resolved → Incubation (Reset)");
-                break;
-        }
-    }
-    
-    // Main update function called each frame
-    update() {
-        // Update simulation parameters based on current stage
-        this.updateParameters();
+        this.skipToNextStage();
+    }
+    
+    // Advance the simulation by dt simulated hours
+    step(dt = this.fixedTimeStep) {
+        this.integrate(dt);
         
-        // Check for stage transitions
-        this.checkStageTransitions();
+        // Let presenters and renderers catch up
+        this.emitTick();
+    }
+    
+    // Advance the model by dt simulated hours without emitting a tick
+    integrate(dt) {
+        const previousLevels = this.readThresholdLevels();
         
-        // Update visualization
-        this.updateVisualization();
+        // Calculate derived rates based on slider values
+        this.updateDerivedRates(dt);
         
-        // Update progress bar
-        this.updateProgressBar();
+        // Update biological elements based on current state (integrated from the start of the step)
+        this.updateBiologicalState(dt);
         
-        // Update UI elements
-        this.updateUI();
-    }
-
-    // Set a specific stage directly
-    setStage(stage) {
-        console.log(`Setting stage to: ${stage}`);
+        // In agent-based mode the agents replace the integrated bacteria and neutrophil levels
+        if (this.agents) {
+            this.agents.step(this, dt);
+            this.readAgentLevels();
+        }
         
-        // Validate the stage
-        const validStages = [
-            "incubation", "comedone", "papule", "pustule", 
-            "rupture", "healing", "worsening", "resolved"
-        ];
+        this.updateDermis(dt);
         
-        if (!validStages.includes(stage)) {
-            console.error(`Invalid stage: ${stage}`);
-            return;
-        }
+        // Advance simulation time
+        this.simulationTime += dt;
         
-        // Set the stage
-        this.simulationStage = stage;
+        this.trackScarring(dt);
+        
+        this.emitThresholdCrossings(previousLevels);
         
-        // Reset progress for the new stage
-        this.resetStageProgress();
-        
-        // Update visuals through the visualization instance
-        if (window.visualization) {
-            window.visualization.updateStageVisuals(stage);
-        }
-        
-        // Update UI
-        const stageDisplay = document.getElementById('stageDisplay');
-        const stageIndicator = document.getElementById('stageIndicator');
-        
-        if (stageDisplay) {
-            stageDisplay.textContent = `Current Stage: ${stage.charAt(0).toUpperCase() + stage.slice(1)}`;
-        }
-        if (stageIndicator) {
-            stageIndicator.textContent = `Stage: ${stage.charAt(0).toUpperCase() + stage.slice(1)}`;
-        }
-        
-        // Update progress bar
-        this.updateProgressBar();
-    }
-    
-    // Reset progress for the current stage
-    resetStageProgress() {
-        switch (this.simulationStage) {
-            case "incubation":
-                this.currentBacteriaLevel = 0;
-                this.currentInflammationLevel = 0;
-                break;
-            case "comedone":
-                this.currentBacteriaLevel = this.BACTERIA_THRESHOLD * 0.8;
-                this.currentInflammationLevel = this.INFLAMMATION_THRESHOLD * 0.8;
-                break;
-            case "papule":
-                this.currentInflammationLevel = this.INFLAMMATION_THRESHOLD * 0.8;
-                this.currentPusLevel = 0;
-                break;
-            case "pustule":
-                this.currentPusLevel = this.PUS_THRESHOLD * 0.8;
-                break;
-            case "rupture":
-                this.currentPusLevel = this.RUPTURE_THRESHOLD * 0.8;
-                this.healingProgress = 0;
-                break;
-            case "healing":
-                this.healingProgress = this.HEALING_THRESHOLD * 0.8;
-                break;
-            case "worsening":
-                this.currentBacteriaLevel = this.BACTERIA_THRESHOLD * 0.8;
-                this.currentInflammationLevel = this.INFLAMMATION_THRESHOLD * 0.8;
-                break;
-            case "resolved":
-                this.healingProgress = 100;
-                break;
-        }
-    }
-    
-    // Update the progress bar in the UI
-    updateProgressBar() {
-        const progressBar = document.getElementById('stageProgress');
-        const progressText = document.getElementById('progressText');
-        
-        if (!progressBar || !progressText) return;
-        
-        let progress = 0;
-        
-        switch (this.simulationStage) {
-            case "incubation":
-                progress = Math.max(
-                    (this.currentBacteriaLevel / this.BACTERIA_THRESHOLD) * 100,
-                    (this.currentInflammationLevel / this.INFLAMMATION_THRESHOLD) * 100
-                );
-                break;
-            case "comedone":
-                progress = (this.currentInflammationLevel / this.INFLAMMATION_THRESHOLD) * 100;
-                break;
-            case "papule":
-                progress = (this.currentPusLevel / this.PUS_THRESHOLD) * 100;
-                break;
-            case "pustule":
-                progress = (this.currentPusLevel / this.RUPTURE_THRESHOLD) * 100;
-                break;
-            case "rupture":
-                // For rupture, we show both healing progress and worsening risk
-                const healingPercent = (this.healingProgress / this.HEALING_THRESHOLD) * 100;
-                const bacteriaPercent = (this.currentBacteriaLevel / this.BACTERIA_THRESHOLD) * 100;
-                const inflammationPercent = (this.currentInflammationLevel / this.BACTERIA_THRESHOLD) * 100;
-                
-                // Show the higher of healing progress or worsening risk
-                progress = Math.max(healingPercent, Math.max(bacteriaPercent, inflammationPercent));
-                break;
-            case "healing":
-                progress = (this.healingProgress / this.RESOLVED_THRESHOLD) * 100;
-                break;
-            case "worsening":
-                // For worsening, show how severe the condition is
-                progress = Math.min(
-                    (this.currentBacteriaLevel / this.BACTERIA_THRESHOLD) * 100,
-                    (this.currentInflammationLevel / this.INFLAMMATION_THRESHOLD) * 100
-                );
-                break;
-            case "resolved":
-                progress = 100;
-                break;
-        }
-        
-        // Update the UI
-        progressBar.style.width = `${Math.min(100, Math.max(0, progress))}%`;
-        progressText.textContent = `${Math.round(progress)}%`;
+        // Check for stage transitions
+        this.checkStageTransitions();
     }
-
-    // Add method to skip to the next stage
-    skipToNextStage() {
-        switch (this.simulationStage) {
-            case "incubation":
-                // Microcomedone formation - starts deep in follicle
-                this.currentSebumLevel = this.SEBUM_THRESHOLD + 0.1;
-                this.currentBacteriaLevel = 15; // Low initial bacteria in follicle
-                this.currentInflammationLevel = 5; // Minimal inflammation
-                this.simulationStage = "comedone";
-                break;
-                
-            case "comedone":
-                // Visible comedone at surface - whitehead/blackhead forms
-                this.currentSebumLevel = 85; // High sebum causing visible plug
-                this.currentBacteriaLevel = this.BACTERIA_THRESHOLD + 0.1;
-                this.currentInflammationLevel = this.INFLAMMATION_THRESHOLD + 0.1;
-                this.currentNeutrophilLevel = 20; // Initial immune response
-                // Sebum plug now visible at follicle opening
-                this.simulationStage = "papule";
-                break;
-                
-            case "papule":
-                // Red inflammatory papule - starts at surface and extends deeper
-                this.currentSebumLevel = 90;
-                this.currentBacteriaLevel = 75;
-                this.currentInflammationLevel = 70; // Significant inflammation
-                this.currentNeutrophilLevel = 60; // Strong neutrophil presence
-                this.currentPusLevel = this.PUS_THRESHOLD + 0.1; // Pus begins forming
-                // Inflammation extends from surface into dermis
-                this.simulationStage = "pustule";
-                break;
-                
-            case "pustule":
-                // White/yellow pustule head visible at surface
-                this.currentSebumLevel = 85;
-                this.currentBacteriaLevel = 85;
-                this.currentInflammationLevel = 85;
-                this.currentNeutrophilLevel = 90; // Peak neutrophil activity
-                this.currentPusLevel = this.RUPTURE_THRESHOLD + 0.1;
-                // Visible white pustule at surface with deep inflammation
-                this.simulationStage = "rupture";
-                break;
-                
-            case "rupture":
-                // Follicle wall breaks - contents spread into dermis
-                this.currentSebumLevel = 40; // Sebum releases into dermis
-                this.currentBacteriaLevel = 95; // Bacteria spread in dermis
-                this.currentInflammationLevel = 100; // Maximum inflammation
-                this.currentNeutrophilLevel = 100; // Maximum immune response
-                this.currentPusLevel = 60; // Pus spreads into surrounding tissue
-                this.healingProgress = this.HEALING_THRESHOLD + 0.1;
-                // Deep inflammatory response in dermis
-                this.simulationStage = "healing";
-                break;
-                
-            case "healing":
-                // Inflammation subsides from deep to surface
-                this.currentSebumLevel = 30;
-                this.currentBacteriaLevel = 30;
-                this.currentInflammationLevel = 40;
-                this.currentNeutrophilLevel = 30;
-                this.currentPusLevel = 10;
-                this.healingProgress = this.RESOLVED_THRESHOLD + 0.1;
-                // Gradual reduction of inflammation from dermis upward
-                this.simulationStage = "resolved";
-                break;
-                
-            case "resolved":
-                // Post-inflammatory changes and potential scarring
-                this.currentSebumLevel = 20;
-                this.currentBacteriaLevel = 10;
-                this.currentInflammationLevel = 15;
-                this.currentNeutrophilLevel = 5;
-                this.currentPusLevel = 0;
-                this.healingProgress = 100;
-                // Surface changes (pigmentation) and possible dermal scarring
-                break;
-        }
-        
-        // Trigger visualization update with anatomical position info
-        if (this.onStageChange) {
-            const stageInfo = {
-                stage: this.simulationStage,
-                // Add anatomical position data
-                isDeep: ["rupture", "healing"].includes(this.simulationStage),
-                isSurface: ["comedone", "papule", "pustule"].includes(this.simulationStage),
-                hasVisibleHead: ["comedone", "pustule"].includes(this.simulationStage),
-                hasDeepInflammation: ["papule", "pustule", "rupture"].includes(this.simulationStage)
-            };
-            this.onStageChange(stageInfo);
+    
+    // Main update function called each frame with the real elapsed time in seconds.
+    // Real time is converted to simulated hours with timeScale and integrated in fixed
+    // steps, so results don't depend on the display's frame rate. Returns the step count.
+    update(realDeltaSeconds) {
+        if (!Number.isFinite(realDeltaSeconds) || realDeltaSeconds <= 0) return 0;
+        
+        this.timeAccumulator += realDeltaSeconds * this.timeScale;
+        
+        // Tolerance keeps rounding error in the accumulator from dropping a step
+        const stepThreshold = this.fixedTimeStep - 1e-9;
+        
+        let steps = 0;
+        while (this.timeAccumulator >= stepThreshold && steps < this.maxStepsPerUpdate) {
+            this.integrate(this.fixedTimeStep);
+            this.timeAccumulator -= this.fixedTimeStep;
+            steps++;
         }
-    }
-
-    // Update simulation parameters based on current stage
-    updateParameters() {
-        // Advance simulation time
-        this.simulationTime += 1/60; // Assuming 60fps
         
-        // Calculate derived rates based on slider values
-        this.updateDerivedRates();
-        
-        // Update biological elements based on current state
-        this.updateBiologicalState(1/60);
-    }
-    
-    // Update visualization based on current state
-    updateVisualization() {
-        // Pass current state to visualization
-        if (this.visualization) {
-            this.visualization.update({
-                stage: this.simulationStage,
-                bacteriaLevel: this.currentBacteriaLevel,
-                inflammationLevel: this.currentInflammationLevel,
-                pusLevel: this.currentPusLevel,
-                healingProgress: this.healingProgress,
-                rotateModel: this.shouldRotateModel
-            });
+        // Too far behind (e.g. the tab was in the background); don't try to catch up
+        if (this.timeAccumulator >= stepThreshold) {
+            this.timeAccumulator = 0;
         }
+        
+        if (steps > 0) {
+            this.emitTick();
+        }
+        return steps;
     }
     
-    // Update UI elements
-    updateUI() {
-        // Update parameter displays
-        this.updateParameterDisplays();
+    // Set how many simulated hours pass per real second
+    setTimeScale(hoursPerSecond) {
+        if (!Number.isFinite(hoursPerSecond) || hoursPerSecond <= 0) return;
         
-        // Update stage indicator
-        if (window.updateCurrentStageDisplay) {
-            window.updateCurrentStageDisplay(this.simulationStage);
-        }
+        const previous = this.timeScale;
+        this.timeScale = hoursPerSecond;
+        this.emitParamChange("timeScale", hoursPerSecond, previous);
     }
     
-    // Update parameter displays in the UI
-    updateParameterDisplays() {
-        // Update bacteria level display
-        const bacteriaDisplay = document.getElementById('bacteriaLevel');
-        if (bacteriaDisplay) {
-            bacteriaDisplay.textContent = Math.round(this.currentBacteriaLevel);
+    // Return to the initial biological state, keeping the current parameters
+    reset() {
+        this.simulationTime = 0;
+        this.timeAccumulator = 0;
+        this.regimen.clearLevels();
+        this.drugEffects = this.regimen.getEffects();
+        this.hormones.resetCortisol();
+        this.hormoneLevels = this.hormones.getLevels(0);
+        this.environment = this.getEnvironmentAt(0);
+        this.scarFactors = createScarFactors();
+        this.scarRisk = 0;
+        this.wallDamage = 0;
+        this.dermis.clear();
+        this.dermalExposure = 0;
+        if (this.agents) {
+            this.agents.clear();
         }
+        this.enterStage("incubation", "reset");
+        this.events.emit("reset", this.getState());
+    }
+
+    // Set a specific stage directly
+    setStage(stage) {
+        console.log(`Setting stage to: ${stage}`);
         
-        // Update inflammation level display
-        const inflammationDisplay = document.getElementById('inflammationLevel');
-        if (inflammationDisplay) {
-            inflammationDisplay.textContent = Math.round(this.currentInflammationLevel);
+        // Validate the stage
+        if (!STAGE_GRAPH[stage]) {
+            console.error(`Invalid stage: ${stage}`);
+            return;
         }
         
-        // Update pus level display
-        const pusDisplay = document.getElementById('pusLevel');
-        if (pusDisplay) {
-            pusDisplay.textContent = Math.round(this.currentPusLevel);
+        this.enterStage(stage, "forced");
+    }
+    
+    // Progress towards leaving the current stage, in percent (may exceed 100)
+    getStageProgress() {
+        return STAGE_GRAPH[this.simulationStage].progress(this);
+    }
+
+    // Skip to the next stage along the stage graph, seeding its state
+    skipToNextStage() {
+        const next = STAGE_GRAPH[this.simulationStage].next(this);
+        if (!next) {
+            console.log(`No stage after ${this.simulationStage}`);
+            return;
         }
         
-        // Update healing progress display
-        const healingDisplay = document.getElementById('healingProgress');
-        if (healingDisplay) {
-            healingDisplay.textContent = Math.round(this.healingProgress);
-        }
+        console.log(`MANUAL ADVANCE: ${this.simulationStage} → ${next}`);
+        this.enterStage(next, "skip");
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,367 @@
+// Acne Inflammation & Healing Simulation - Stage Graph
+// Single definition of the lesion stages. checkStageTransitions, skipToNextStage,
+// advanceToNextStage, setStage and getStageProgress all read from this graph.
+//
+// Each stage declares:
+//   label       - display name
+//   depth       - how deep into the dermis the lesion reaches (0-1), for scar risk
+//   next(sim)   - stage a manual skip moves to (null when the stage is terminal)
+//   transitions - organic exits checked in order each step: { to, when(sim) }
+//   seed(sim)   - state applied when the stage is entered manually, matching what
+//                 the lesion would look like had it got there organically
+//   progress(sim) - percent progress towards the stage's organic exit
+
+// Hours a ruptured follicle has to start healing before the lesion worsens
+export const RUPTURE_HEALING_WINDOW = 48;
+
+// Hours a worsening lesion stays inflamed before it spreads deep into the dermis as a nodule
+export const NODULE_ONSET_HOURS = 72;
+
+// Bacteria are back under control, by treatment or the host
+function bacteriaCleared(sim) {
+    return sim.currentBacteriaLevel < sim.BACTERIA_THRESHOLD;
+}
+
+// Bacteria and inflammation are back under control, by treatment or the host
+function lesionControlled(sim) {
+    return bacteriaCleared(sim) && sim.currentInflammationLevel < sim.INFLAMMATION_THRESHOLD;
+}
+
+// Whether a rupture is expected to heal within the window at the current healing rate
+function ruptureWillHeal(sim) {
+    const healingRate = sim.healingValue / 500;
+    return healingRate > 0 && sim.HEALING_THRESHOLD / healingRate <= RUPTURE_HEALING_WINDOW;
+}
+
+export const STAGE_GRAPH = {
+    incubation: {
+        label: "Incubation",
+        depth: 0,
+        next: () => "comedone",
+        transitions: [
+            // Keratin debris and sebum plug the follicle
+            { to: "comedone", when: sim => sim.currentPlugLevel >= sim.PLUG_THRESHOLD }
+        ],
+        seed: () => ({
+            currentSebumLevel: 20,
+            currentKeratinLevel: 20,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 0,
+            currentInflammationLevel: 0,
+            currentNeutrophilLevel: 0,
+            currentIL1BetaLevel: 0,
+            currentTNFAlphaLevel: 0,
+            currentIL8Level: 0,
+            currentIL10Level: 0,
+            currentMacrophageLevel: 0,
+            currentCTLLevel: 0,
+            currentTregLevel: 0,
+            currentPusLevel: 0,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.currentPlugLevel / sim.PLUG_THRESHOLD) * 100
+    },
+
+    comedone: {
+        label: "Comedone",
+        depth: 0.1,
+        next: () => "papule",
+        transitions: [
+            // Inflammation increases significantly
+            { to: "papule", when: sim => sim.currentInflammationLevel > sim.INFLAMMATION_THRESHOLD }
+        ],
+        // Microcomedone formation - starts deep in follicle
+        seed: sim => ({
+            currentSebumLevel: sim.SEBUM_THRESHOLD + 0.1,
+            currentKeratinLevel: 75,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 15, // Low initial bacteria in follicle
+            currentInflammationLevel: 5, // Minimal inflammation
+            currentNeutrophilLevel: 0,
+            currentIL1BetaLevel: 5,
+            currentTNFAlphaLevel: 4,
+            currentIL8Level: 5,
+            currentIL10Level: 2,
+            currentMacrophageLevel: 2,
+            currentCTLLevel: 0,
+            currentTregLevel: 0,
+            currentPusLevel: 0,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.currentInflammationLevel / sim.INFLAMMATION_THRESHOLD) * 100
+    },
+
+    papule: {
+        label: "Papule",
+        depth: 0.3,
+        next: () => "pustule",
+        transitions: [
+            // Pus formation begins
+            { to: "pustule", when: sim => sim.currentPusLevel > sim.PUS_THRESHOLD }
+        ],
+        // Red inflammatory papule with an initial immune response
+        seed: sim => ({
+            currentSebumLevel: 85,
+            currentKeratinLevel: 80,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: sim.BACTERIA_THRESHOLD + 0.1,
+            currentInflammationLevel: sim.INFLAMMATION_THRESHOLD + 0.1,
+            currentNeutrophilLevel: 20,
+            currentIL1BetaLevel: 40,
+            currentTNFAlphaLevel: 35,
+            currentIL8Level: 40,
+            currentIL10Level: 15,
+            currentMacrophageLevel: 15,
+            currentCTLLevel: 10,
+            currentTregLevel: 5,
+            currentPusLevel: 0,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.currentPusLevel / sim.PUS_THRESHOLD) * 100
+    },
+
+    pustule: {
+        label: "Pustule",
+        depth: 0.4,
+        next: () => "rupture",
+        transitions: [
+            // Pressure builds up until the wall gives; CTL attack weakens the wall
+            { to: "rupture", when: sim => sim.currentPusLevel > sim.getRuptureThreshold() },
+            // Once its bacteria are cleared and the inflammation settles, it dries up without bursting
+            { to: "healing", when: lesionControlled }
+        ],
+        // White/yellow pustule head with strong neutrophil presence
+        seed: sim => ({
+            currentSebumLevel: 90,
+            currentKeratinLevel: 85,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 75,
+            currentInflammationLevel: 70,
+            currentNeutrophilLevel: 60,
+            currentIL1BetaLevel: 60,
+            currentTNFAlphaLevel: 50,
+            currentIL8Level: 70,
+            currentIL10Level: 25,
+            currentMacrophageLevel: 30,
+            currentCTLLevel: 20,
+            currentTregLevel: 10,
+            currentPusLevel: sim.PUS_THRESHOLD + 0.1,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.currentPusLevel / sim.getRuptureThreshold()) * 100
+    },
+
+    rupture: {
+        label: "Rupture",
+        depth: 0.7,
+        next: sim => ruptureWillHeal(sim) ? "healing" : "worsening",
+        transitions: [
+            // Healing gets going in time
+            { to: "healing", when: sim => sim.healingProgress > sim.HEALING_THRESHOLD },
+            // Otherwise bacteria or inflammation keep the lesion active
+            {
+                to: "worsening",
+                when: sim => sim.getTimeInStage() > RUPTURE_HEALING_WINDOW &&
+                    (sim.currentBacteriaLevel > sim.BACTERIA_THRESHOLD ||
+                     sim.currentInflammationLevel > sim.BACTERIA_THRESHOLD)
+            }
+        ],
+        // Follicle wall breaks at peak neutrophil activity
+        seed: sim => ({
+            currentSebumLevel: 85,
+            currentKeratinLevel: 60,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 85,
+            currentInflammationLevel: 85,
+            currentNeutrophilLevel: 90,
+            currentIL1BetaLevel: 80,
+            currentTNFAlphaLevel: 70,
+            currentIL8Level: 85,
+            currentIL10Level: 35,
+            currentMacrophageLevel: 50,
+            currentCTLLevel: 35,
+            currentTregLevel: 15,
+            currentPusLevel: sim.RUPTURE_THRESHOLD + 0.1,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        // The higher of healing progress or time running out on it
+        progress: sim => Math.max(
+            (sim.healingProgress / sim.HEALING_THRESHOLD) * 100,
+            (sim.getTimeInStage() / RUPTURE_HEALING_WINDOW) * 100
+        )
+    },
+
+    healing: {
+        label: "Healing",
+        depth: 0.5,
+        next: () => "resolved",
+        transitions: [
+            { to: "resolved", when: sim => sim.healingProgress >= sim.RESOLVED_THRESHOLD },
+            { to: "resolved", when: sim => sim.currentInflammationLevel < 10 && sim.currentPusLevel < 5 }
+        ],
+        // Contents spread into the dermis while repair begins
+        seed: sim => ({
+            currentSebumLevel: 40,
+            currentKeratinLevel: 40,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 95,
+            currentInflammationLevel: 100,
+            currentNeutrophilLevel: 100,
+            currentIL1BetaLevel: 40,
+            currentTNFAlphaLevel: 35,
+            currentIL8Level: 40,
+            currentIL10Level: 50,
+            currentMacrophageLevel: 70,
+            currentCTLLevel: 25,
+            currentTregLevel: 30,
+            currentPusLevel: 60,
+            currentCapsuleLevel: 0,
+            healingProgress: sim.HEALING_THRESHOLD + 0.1
+        }),
+        progress: sim => (sim.healingProgress / sim.RESOLVED_THRESHOLD) * 100
+    },
+
+    worsening: {
+        label: "Worsening",
+        depth: 0.9,
+        next: () => "nodule",
+        transitions: [
+            // Treatment (or, slowly, the host) clears the infection; the inflammation left settles while it heals
+            { to: "healing", when: bacteriaCleared },
+            // Otherwise, once it has had time to, the inflammation spreads deep into the dermis...
+            {
+                to: "nodule",
+                when: sim => sim.getTimeInStage() > NODULE_ONSET_HOURS &&
+                    sim.currentInflammationLevel > sim.INFLAMMATION_THRESHOLD
+            },
+            // ...unless it has died down by then, and the lesion heals around the bacteria left
+            { to: "healing", when: sim => sim.getTimeInStage() > NODULE_ONSET_HOURS }
+        ],
+        // Persistent deep infection and inflammation
+        seed: () => ({
+            currentSebumLevel: 60,
+            currentKeratinLevel: 70,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 90,
+            currentInflammationLevel: 95,
+            currentNeutrophilLevel: 95,
+            currentIL1BetaLevel: 85,
+            currentTNFAlphaLevel: 75,
+            currentIL8Level: 90,
+            currentIL10Level: 30,
+            currentMacrophageLevel: 60,
+            currentCTLLevel: 50,
+            currentTregLevel: 15,
+            currentPusLevel: 80,
+            currentCapsuleLevel: 0,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.getTimeInStage() / NODULE_ONSET_HOURS) * 100
+    },
+
+    nodule: {
+        label: "Nodule",
+        depth: 1.0,
+        next: () => "cyst",
+        transitions: [
+            { to: "healing", when: lesionControlled },
+            // Fibroblasts wall the lesion off
+            { to: "cyst", when: sim => sim.currentCapsuleLevel >= sim.CAPSULE_THRESHOLD }
+        ],
+        // Deep, painful inflammation with an abscess forming below the follicle
+        seed: () => ({
+            currentSebumLevel: 50,
+            currentKeratinLevel: 60,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 85,
+            currentInflammationLevel: 95,
+            currentNeutrophilLevel: 80,
+            currentIL1BetaLevel: 85,
+            currentTNFAlphaLevel: 80,
+            currentIL8Level: 80,
+            currentIL10Level: 30,
+            currentMacrophageLevel: 70,
+            currentCTLLevel: 55,
+            currentTregLevel: 15,
+            currentPusLevel: 60,
+            currentCapsuleLevel: 20,
+            healingProgress: 0
+        }),
+        progress: sim => (sim.currentCapsuleLevel / sim.CAPSULE_THRESHOLD) * 100
+    },
+
+    cyst: {
+        label: "Cyst",
+        depth: 1.0,
+        next: () => "healing",
+        transitions: [
+            // Pus building up inside bursts the capsule, flaring the lesion again
+            { to: "worsening", when: sim => sim.currentPusLevel > sim.getRuptureThreshold() },
+            // Walled off from the immune system, the contents are slowly resorbed
+            {
+                to: "healing",
+                when: sim => sim.currentPusLevel < sim.PUS_THRESHOLD &&
+                    sim.currentInflammationLevel < sim.INFLAMMATION_THRESHOLD
+            }
+        ],
+        // Pus-filled cavity inside a fibrous capsule
+        seed: sim => ({
+            currentSebumLevel: 40,
+            currentKeratinLevel: 50,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 60,
+            currentInflammationLevel: 60,
+            currentNeutrophilLevel: 40,
+            currentIL1BetaLevel: 30,
+            currentTNFAlphaLevel: 25,
+            currentIL8Level: 30,
+            currentIL10Level: 40,
+            currentMacrophageLevel: 50,
+            currentCTLLevel: 25,
+            currentTregLevel: 25,
+            currentPusLevel: 75,
+            currentCapsuleLevel: sim.CAPSULE_THRESHOLD + 0.1,
+            healingProgress: 0
+        }),
+        // The higher of resorption and pus building towards a burst
+        progress: sim => Math.max(
+            (sim.currentPusLevel / sim.getRuptureThreshold()) * 100,
+            ((100 - sim.currentInflammationLevel) / (100 - sim.INFLAMMATION_THRESHOLD)) * 100
+        )
+    },
+
+    resolved: {
+        label: "Resolved",
+        depth: 0,
+        next: () => null,
+        transitions: [],
+        // Post-inflammatory changes and potential scarring
+        seed: () => ({
+            currentSebumLevel: 20,
+            currentKeratinLevel: 30,
+            currentOxidationLevel: 0,
+            currentBacteriaLevel: 10,
+            currentInflammationLevel: 15,
+            currentNeutrophilLevel: 5,
+            currentIL1BetaLevel: 5,
+            currentTNFAlphaLevel: 5,
+            currentIL8Level: 5,
+            currentIL10Level: 20,
+            currentMacrophageLevel: 20,
+            currentCTLLevel: 5,
+            currentTregLevel: 20,
+            currentPusLevel: 0,
+            currentCapsuleLevel: 0,
+            healingProgress: 100
+        }),
+        progress: () => 100
+    }
+};
+
+// Stage ids in pathway order
+export const STAGE_ORDER = Object.keys(STAGE_GRAPH);
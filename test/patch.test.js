@@ -0,0 +1,37 @@
+// Acne Inflammation & Healing Simulation - Skin Patch tests
+// Run with: node --test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AcneSimulation } from '../simulation.js';
+import { SkinPatch } from '../patch.js';
+
+// Step a two-follicle patch whose primary has just ruptured, for the given simulated hours
+function runRupturedPatch(progressionAccelerator, hours) {
+    const primary = new AcneSimulation();
+    const patch = new SkinPatch(primary, { count: 2 });
+    primary.setProgressionAccelerator(progressionAccelerator);
+    primary.setStage("rupture");
+
+    const neighbour = patch.follicles[1].simulation;
+    const samples = [];
+    for (let hour = 0; hour < hours; hour++) {
+        for (let i = 0; i < 6; i++) patch.step(1 / 6);
+        samples.push({
+            stage: neighbour.simulationStage,
+            inflammation: neighbour.currentInflammationLevel,
+            exposure: neighbour.dermalExposure
+        });
+    }
+    return samples;
+}
+
+for (const progressionAccelerator of [1, 10]) {
+    test(`a follicle without a lesion settles next to a ruptured one at ${progressionAccelerator}x`, () => {
+        const incubating = runRupturedPatch(progressionAccelerator, 80).filter(({ stage }) => stage === "incubation");
+
+        assert.ok(incubating.length > 0, "the neighbour should still be incubating");
+        assert.ok(incubating.some(({ exposure }) => exposure > 0), "the rupture should reach the neighbour");
+        incubating.forEach(({ inflammation }) => assert.equal(inflammation, 0));
+    });
+}
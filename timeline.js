@@ -0,0 +1,125 @@
+// Acne Inflammation & Healing Simulation - Timeline Recording
+// Records the simulation state at regular steps of simulated time into a
+// fixed-size ring buffer so a run can be scrubbed back to any recent moment.
+// Recording by simulated time rather than by tick keeps the buffer's span the
+// same at any frame rate. Once the buffer is full the oldest frames are overwritten.
+
+// State fields kept per frame (enough for the presenter and visualization to re-render).
+// Agent positions are left out, as hundreds of them per frame would fill memory; a
+// recorded moment in agent mode shows the agent counts without the swarm.
+export const TIMELINE_FIELDS = [
+    'stage',
+    'simulationTime',
+    'stageProgress',
+    'sebumLevel',
+    'keratinLevel',
+    'plugLevel',
+    'comedoneType',
+    'oxidationLevel',
+    'bacteriaLevel',
+    'susceptibleBacteriaLevel',
+    'resistantBacteriaLevel',
+    'resistantFraction',
+    'inflammationLevel',
+    'neutrophilLevel',
+    'pusLevel',
+    'capsuleLevel',
+    'il1BetaLevel',
+    'tnfAlphaLevel',
+    'il8Level',
+    'il10Level',
+    'macrophageLevel',
+    'ctlLevel',
+    'tregLevel',
+    'drugLevels',
+    'drugEffects',
+    'topicalCoverage',
+    'patient',
+    'hormones',
+    'environment',
+    'dermalInflammation',
+    'dermalSpread',
+    'healingProgress',
+    'scarRisk',
+    'outcome',
+    'agentCounts'
+];
+
+export class SimulationTimeline {
+    // options: { capacity (frames held), interval (simulated hours between frames) }
+    constructor(simulation, options = {}) {
+        this.capacity = options.capacity || 10000;
+        this.interval = options.interval || 0.5;
+        this.frames = new Array(this.capacity);
+        this.start = 0;   // Index of the oldest frame in this.frames
+        this.length = 0;
+
+        // Record as time advances; a reset or restored snapshot starts a new recording
+        this.unsubscribers = [
+            simulation.on('tick', state => this.record(state)),
+            simulation.on('reset', state => {
+                this.clear();
+                this.record(state);
+            }),
+            simulation.on('stagechange', ({ cause }) => {
+                if (cause === 'restore') {
+                    this.clear();
+                    this.record(simulation.getState());
+                }
+            })
+        ];
+
+        this.record(simulation.getState());
+    }
+
+    // Stop recording
+    destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    // Record a state. It becomes a new frame once interval hours have passed since the
+    // frame before the latest one; until then it replaces the latest frame, which so
+    // always shows the current state. A full buffer overwrites its oldest frame.
+    record(state) {
+        const frame = {};
+        TIMELINE_FIELDS.forEach(field => {
+            frame[field] = state[field];
+        });
+
+        // Several ticks land within one interval, or on the same simulated time while paused
+        const last = this.latest();
+        const previous = this.length > 1 ? this.at(this.length - 2) : null;
+        if ((last && last.simulationTime === frame.simulationTime) || 
+            (previous && frame.simulationTime - previous.simulationTime < this.interval)) {
+            this.frames[(this.start + this.length - 1) % this.capacity] = frame;
+            return;
+        }
+
+        if (this.length < this.capacity) {
+            this.frames[(this.start + this.length) % this.capacity] = frame;
+            this.length++;
+        } else {
+            this.frames[this.start] = frame;
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    // Frame by age, 0 being the oldest still held
+    at(index) {
+        if (index < 0 || index >= this.length) return null;
+        return this.frames[(this.start + index) % this.capacity];
+    }
+
+    // Most recent frame
+    latest() {
+        return this.length > 0 ? this.at(this.length - 1) : null;
+    }
+
+    // Drop all frames
+    clear() {
+        this.frames = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
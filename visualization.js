@@ -6,6 +6,56 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import TWEEN from '@tweenjs/tween.js';
+import { STAGE_GRAPH, STAGE_ORDER } from './stages.js';
+
+// How far the inflammation halo stretches per unit of dermal spread (see DermisField.getSpread)
+const HALO_SPREAD_SCALE = 3;
+
+// Skin colour the stage colours below were picked against (Fitzpatrick type II, see patient.js)
+const REFERENCE_SKIN_COLOR = new THREE.Color(0xffdddd);
+
+// Colour an extra patch follicle tends towards as it becomes inflamed
+const INFLAMED_FOLLICLE_COLOR = new THREE.Color(0xcc2222);
+
+// Squeezing the lesion by click-and-hold: seconds of holding to reach full pressure, pus level
+// expelled per squirt of particles, and the colours of the pressure marker and expelled pus
+const SQUEEZE_RAMP_SECONDS = 3;
+const SQUEEZE_SQUIRT_PUS = 3;
+const SQUEEZE_MARKER_COLORS = [new THREE.Color(0xffffff), new THREE.Color(0xff2222)];
+const SQUEEZE_PUS_COLOR = 0xf2e6a0;
+
+// Topical cream drawn where the coverage mask is painted (see updateCoverage), at this
+// opacity where the skin is fully covered
+const CREAM_COLOR = new THREE.Color(0xfff6e0);
+const CREAM_OPACITY = 0.6;
+
+// Procedure animations (see playProcedure): instruments come in along INSTRUMENT_APPROACH,
+// tilted by INSTRUMENT_TILT towards the default camera
+const INSTRUMENT_TILT = -Math.PI / 4;
+const INSTRUMENT_APPROACH = new THREE.Vector3(0, Math.cos(INSTRUMENT_TILT), Math.sin(INSTRUMENT_TILT));
+const INSTRUMENT_COLOR = 0xc8ccd4;
+const PLUG_COLOR = 0xd8c8a0;
+const STEROID_COLOR = 0xe8f4ff;
+const INCISION_COLOR = 0x880000;
+
+// Agent-based mode (see agents.js): most agents of each kind drawn, and their colours
+const MAX_RENDERED_AGENTS = 500;
+const AGENT_COLORS = {
+    susceptible: new THREE.Color(0x33cc33),
+    resistant: new THREE.Color(0xd4a017),
+    neutrophil: new THREE.Color(0xffffff),
+    digesting: new THREE.Color(0xffe9a8) // neutrophil with an engulfed bacterium
+};
+
+// How Mesh_Scar looks for each resolution outcome (see outcomes.js); scale is x/y/z before severity
+const SCAR_APPEARANCE = {
+    pie: { color: 0xd05a6a, opacity: 0.45, scale: [1.2, 0.3, 1.2] },       // flat red patch
+    pih: { color: 0x7a4a2a, opacity: 0.5, scale: [1.2, 0.3, 1.2] },        // flat brown patch
+    icepick: { color: 0x6a3a3a, opacity: 0.85, scale: [0.4, 1.4, 0.4] },   // narrow and deep
+    boxcar: { color: 0x7a4545, opacity: 0.8, scale: [1.0, 0.8, 1.0] },     // sharp-edged depression
+    rolling: { color: 0x8a5a5a, opacity: 0.7, scale: [1.6, 0.5, 1.6] },    // broad, shallow undulation
+    hypertrophic: { color: 0xd89090, opacity: 0.9, scale: [1.1, 1.5, 1.1] } // raised, pink
+};
 
 export class AcneVisualization {
     constructor(containerId) {
@@ -28,6 +78,19 @@ export class AcneVisualization {
             this.animations = {};
             this.hairMeshes = [];
             this.effectMeshes = {};
+            this.spareFollicleMeshes = []; // modelled follicles besides follicleMesh (e.g. the control follicle)
+            this.patchFollicleMeshes = []; // meshes showing a SkinPatch's extra follicles, by index
+            this.onFollicleMoved = null; // called with (id, { x, z }) when a patch follicle is drawn somewhere else than the patch has it
+            this.agentMeshes = null; // instanced bacteria and neutrophils of the agent-based mode
+            this.skinColor = REFERENCE_SKIN_COLOR.clone(); // base skin colour of the patient's phototype
+            this.skinColorHex = 0xffdddd;
+            this.squeeze = null; // click-and-hold on the lesion: { pointerId, held, force, point, marker, expelled }
+            this.onSqueeze = null; // called with (pressure, seconds) while squeezing; returns { expelled, ruptured } or null
+            this.skinSurfaces = []; // skin meshes of the loaded models, for painting topicals on
+            this.brush = { enabled: false, radius: 0.4, erase: false, pointerId: null }; // topical coverage brush (see setBrush)
+            this.onPaint = null; // called with (x, z, radius, amount) relative to the follicle while painting
+            this.coverageMask = null; // last CoverageMask drawn by updateCoverage
+            this.coverageOverlay = null; // cream over the skin showing coverageMask
             this.clock = new THREE.Clock();
             this.currentStage = 'incubation';
             this.stageLabelsCreated = false;  // Flag to prevent duplicate labels
@@ -54,6 +117,8 @@ export class AcneVisualization {
             
             // Set up camera controls
             this.setupCameraControls();
+            this.setupSqueezeInteraction();
+            this.setupPaintInteraction();
             
             // Set up initial camera position (removed default position here)
             this.controls.update();
@@ -159,6 +224,508 @@ export class AcneVisualization {
         this.controls.update();
     }
 
+    // Click and hold on the follicle or its pus to squeeze the lesion (see updateSqueeze)
+    setupSqueezeInteraction() {
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        
+        // Listen in the capture phase so a press on the lesion never reaches the orbit controls
+        this.container.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || this.squeeze || !this.onSqueeze || this.brush.enabled) return;
+            
+            const targets = [this.follicleMesh, this.effectMeshes.pus].filter(mesh => mesh && mesh.visible);
+            if (targets.length === 0) return;
+            
+            const bounds = this.renderer.domElement.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+                -((event.clientY - bounds.top) / bounds.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, this.camera);
+            const [hit] = raycaster.intersectObjects(targets, false);
+            if (!hit) return;
+            
+            event.stopPropagation();
+            this.startSqueeze(event, hit.point);
+        }, true);
+        
+        const release = (event) => {
+            if (this.squeeze && event.pointerId === this.squeeze.pointerId) {
+                this.endSqueeze();
+            }
+        };
+        window.addEventListener('pointerup', release);
+        window.addEventListener('pointercancel', release);
+    }
+    
+    // Begin squeezing at a point on the lesion, with a marker that tightens as the pressure builds
+    startSqueeze(event, point) {
+        const marker = new THREE.Mesh(
+            new THREE.RingGeometry(0.15, 0.22, 32),
+            new THREE.MeshBasicMaterial({ color: SQUEEZE_MARKER_COLORS[0], transparent: true, opacity: 0.8, depthTest: false, side: THREE.DoubleSide })
+        );
+        marker.position.copy(point);
+        marker.renderOrder = 10;
+        this.scene.add(marker);
+        
+        this.squeeze = {
+            pointerId: event.pointerId,
+            held: 0,
+            // Pens and touch screens report how hard they press; a mouse button is all or nothing
+            force: event.pointerType === 'mouse' || !event.pressure ? 1 : event.pressure,
+            point: point.clone(),
+            marker,
+            expelled: 0
+        };
+        this.controls.enabled = false;
+    }
+    
+    // Stop squeezing and remove the marker
+    endSqueeze() {
+        if (!this.squeeze) return;
+        
+        const { marker } = this.squeeze;
+        this.scene.remove(marker);
+        marker.geometry.dispose();
+        marker.material.dispose();
+        
+        this.squeeze = null;
+        this.controls.enabled = true;
+    }
+    
+    // Apply the held pressure for this frame: pressure builds over SQUEEZE_RAMP_SECONDS, pus
+    // squirts out as it is expelled, and the lesion bursts if the wall gives
+    updateSqueeze(delta) {
+        if (!this.squeeze) return;
+        
+        const squeeze = this.squeeze;
+        squeeze.held += delta;
+        const pressure = Math.min(1, squeeze.held / SQUEEZE_RAMP_SECONDS) * squeeze.force;
+        
+        squeeze.marker.lookAt(this.camera.position);
+        squeeze.marker.scale.setScalar(1 - 0.5 * pressure);
+        squeeze.marker.material.color.lerpColors(SQUEEZE_MARKER_COLORS[0], SQUEEZE_MARKER_COLORS[1], pressure);
+        
+        const result = this.onSqueeze(pressure, delta);
+        if (!result) return;
+        
+        squeeze.expelled += result.expelled;
+        if (squeeze.expelled >= SQUEEZE_SQUIRT_PUS) {
+            squeeze.expelled = 0;
+            this.createRuptureParticles({
+                origin: squeeze.point,
+                count: 12,
+                color: SQUEEZE_PUS_COLOR,
+                size: 0.05,
+                duration: 600,
+                upwardVelocity: 0.06,
+                spreadVelocity: 0.04,
+                gravity: 0.006
+            });
+        }
+        
+        if (result.ruptured) {
+            // The wall gives way under the fingers
+            this.createRuptureParticles({
+                origin: squeeze.point,
+                count: 80,
+                color: SQUEEZE_PUS_COLOR,
+                size: 0.08,
+                duration: 1500,
+                upwardVelocity: 0.12,
+                spreadVelocity: 0.1,
+                gravity: 0.008
+            });
+            this.endSqueeze();
+        }
+    }
+
+    // Drag over the skin with the brush on to apply topical cream, or wipe it off (see setBrush)
+    setupPaintInteraction() {
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        
+        // Where the pointer meets the skin surface, relative to the follicle, or null
+        const pickSkin = (event) => {
+            const surface = this.getSkinSurface();
+            if (!surface || !this.follicleMesh) return null;
+            
+            const bounds = this.renderer.domElement.getBoundingClientRect();
+            pointer.set(
+                ((event.clientX - bounds.left) / bounds.width) * 2 - 1,
+                -((event.clientY - bounds.top) / bounds.height) * 2 + 1
+            );
+            raycaster.setFromCamera(pointer, this.camera);
+            const [hit] = raycaster.intersectObject(surface, false);
+            return hit ? this.toFollicleSpace(hit.point) : null;
+        };
+        const paint = ({ x, z }) => {
+            this.onPaint(x, z, this.brush.radius, this.brush.erase ? -1 : 1);
+        };
+        
+        // Capture phase, as for squeezing, so a stroke doesn't turn the camera
+        this.container.addEventListener('pointerdown', (event) => {
+            if (event.button !== 0 || !this.brush.enabled || !this.onPaint || this.brush.pointerId !== null) return;
+            
+            const spot = pickSkin(event);
+            if (!spot) return;
+            
+            event.stopPropagation();
+            this.brush.pointerId = event.pointerId;
+            this.controls.enabled = false;
+            paint(spot);
+        }, true);
+        
+        this.container.addEventListener('pointermove', (event) => {
+            if (event.pointerId !== this.brush.pointerId) return;
+            
+            const spot = pickSkin(event);
+            if (spot) paint(spot);
+        });
+        
+        const release = (event) => {
+            if (event.pointerId === this.brush.pointerId) {
+                this.brush.pointerId = null;
+                this.controls.enabled = true;
+            }
+        };
+        window.addEventListener('pointerup', release);
+        window.addEventListener('pointercancel', release);
+    }
+    
+    // Change the coverage brush: { enabled, radius (scene units), erase }. The cream
+    // overlay shows while the brush is on.
+    setBrush(settings) {
+        Object.assign(this.brush, settings);
+        if (this.coverageOverlay) {
+            this.coverageOverlay.visible = this.brush.enabled;
+        }
+    }
+    
+    // The outer surface of the skin: the epidermis where the model has one, otherwise
+    // the skin mesh reaching highest
+    getSkinSurface() {
+        const epidermis = this.skinSurfaces.find(mesh => mesh.name.includes('Epidermis'));
+        if (epidermis) return epidermis;
+        
+        let surface = null;
+        let top = -Infinity;
+        this.skinSurfaces.forEach(mesh => {
+            const meshTop = new THREE.Box3().setFromObject(mesh).max.y;
+            if (meshTop > top) {
+                surface = mesh;
+                top = meshTop;
+            }
+        });
+        return surface;
+    }
+    
+    // A world point as { x, z } in scene units relative to the follicle, the frame of the
+    // simulation's spatial fields (see dermis.js and coverage.js)
+    toFollicleSpace(point) {
+        const local = this.follicleMesh.parent.worldToLocal(point.clone());
+        const origin = this.follicleMesh.userData.originalPosition || this.follicleMesh.position;
+        return { x: local.x - origin.x, z: local.z - origin.z };
+    }
+    
+    // Draw a CoverageMask (see coverage.js) as cream on the skin surface. Cells off the
+    // edge of the skin stay clear.
+    updateCoverage(mask) {
+        this.coverageMask = mask;
+        if (!mask || !this.follicleMesh) return;
+        
+        const overlay = this.getCoverageOverlay(mask);
+        if (!overlay) return;
+        
+        const { size, extent, values } = mask;
+        const { minX, maxX, minZ, maxZ } = overlay.userData.skinBounds;
+        const data = overlay.material.map.image.data;
+        for (let row = 0; row < size; row++) {
+            const z = (row + 0.5) * extent / size - extent / 2;
+            // Laid flat, the texture's rows run towards -z
+            const textureRow = size - 1 - row;
+            for (let column = 0; column < size; column++) {
+                const x = (column + 0.5) * extent / size - extent / 2;
+                const onSkin = x >= minX && x <= maxX && z >= minZ && z <= maxZ;
+                data[(textureRow * size + column) * 4 + 3] = onSkin
+                    ? Math.round(values[row * size + column] * CREAM_OPACITY * 255)
+                    : 0;
+            }
+        }
+        overlay.material.map.needsUpdate = true;
+    }
+    
+    // Plane carrying the coverage texture, laid just above the skin surface and centred on
+    // the follicle. Made again when the models are reloaded.
+    getCoverageOverlay(mask) {
+        const parent = this.follicleMesh.parent;
+        const current = this.coverageOverlay;
+        if (current && current.parent === parent && current.userData.size === mask.size) return current;
+        
+        const surface = this.getSkinSurface();
+        if (!surface) return null;
+        
+        if (current) {
+            if (current.parent) current.parent.remove(current);
+            current.geometry.dispose();
+            current.material.map.dispose();
+            current.material.dispose();
+        }
+        
+        const { size, extent } = mask;
+        const data = new Uint8Array(size * size * 4);
+        for (let i = 0; i < size * size; i++) {
+            data[i * 4] = Math.round(CREAM_COLOR.r * 255);
+            data[i * 4 + 1] = Math.round(CREAM_COLOR.g * 255);
+            data[i * 4 + 2] = Math.round(CREAM_COLOR.b * 255);
+        }
+        const texture = new THREE.DataTexture(data, size, size, THREE.RGBAFormat);
+        texture.magFilter = THREE.LinearFilter;
+        texture.minFilter = THREE.LinearFilter;
+        texture.needsUpdate = true;
+        
+        const overlay = new THREE.Mesh(
+            new THREE.PlaneGeometry(extent, extent),
+            new THREE.MeshBasicMaterial({ map: texture, transparent: true, depthWrite: false, side: THREE.DoubleSide })
+        );
+        overlay.name = 'TopicalCoverage';
+        overlay.rotation.x = -Math.PI / 2;
+        
+        const box = new THREE.Box3().setFromObject(surface);
+        const corners = [this.toFollicleSpace(box.min), this.toFollicleSpace(box.max)];
+        const origin = this.follicleMesh.userData.originalPosition || this.follicleMesh.position;
+        overlay.position.set(origin.x, parent.worldToLocal(box.max.clone()).y + 0.01, origin.z);
+        overlay.userData.size = size;
+        overlay.userData.skinBounds = {
+            minX: Math.min(corners[0].x, corners[1].x),
+            maxX: Math.max(corners[0].x, corners[1].x),
+            minZ: Math.min(corners[0].z, corners[1].z),
+            maxZ: Math.max(corners[0].z, corners[1].z)
+        };
+        overlay.visible = this.brush.enabled;
+        parent.add(overlay);
+        
+        this.coverageOverlay = overlay;
+        return overlay;
+    }
+
+    // Animate a procedure (see procedures.js) at the lesion: the instrument moves in, does
+    // its work and withdraws. Instruments count as stage effects, so a stage change part
+    // way through clears them.
+    playProcedure(procedure) {
+        const top = this.getLesionTop();
+        
+        switch (procedure) {
+            case 'extraction':
+                this.animateExtraction(top);
+                break;
+            case 'steroid':
+                this.animateInjection(top);
+                break;
+            case 'drainage':
+                this.animateDrainage(top);
+                break;
+            default:
+                console.warn(`No animation for procedure: ${procedure}`);
+        }
+    }
+    
+    // Point at the top of the lesion, where instruments meet the skin
+    getLesionTop() {
+        const top = new THREE.Vector3(0, 0.1, 0);
+        if (this.follicleMesh) {
+            const bounds = new THREE.Box3().setFromObject(this.follicleMesh);
+            bounds.getCenter(top);
+            top.y = bounds.max.y;
+        }
+        return top;
+    }
+    
+    // Comedone extractor: the loop is pressed down around the pore and the plug pops out
+    animateExtraction(top) {
+        const metal = new THREE.MeshStandardMaterial({ color: INSTRUMENT_COLOR, metalness: 0.9, roughness: 0.3 });
+        const loop = new THREE.Mesh(new THREE.TorusGeometry(0.12, 0.015, 8, 24), metal);
+        loop.rotation.x = Math.PI / 2;
+        const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 1.0, 8), metal.clone());
+        handle.position.copy(INSTRUMENT_APPROACH).multiplyScalar(0.5).add(new THREE.Vector3(0, 0, -0.12));
+        handle.rotation.x = INSTRUMENT_TILT;
+        
+        const extractor = this.addInstrument(loop, handle);
+        extractor.position.copy(top).addScaledVector(INSTRUMENT_APPROACH, 1.2);
+        
+        const descend = new TWEEN.Tween(extractor.position)
+            .to({ x: top.x, y: top.y, z: top.z }, 700)
+            .easing(TWEEN.Easing.Quadratic.Out);
+        const press = new TWEEN.Tween(extractor.position)
+            .to({ y: top.y - 0.05 }, 300)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .onComplete(() => {
+                this.createRuptureParticles({
+                    origin: top,
+                    count: 25,
+                    color: PLUG_COLOR,
+                    size: 0.05,
+                    duration: 900,
+                    upwardVelocity: 0.05,
+                    spreadVelocity: 0.02,
+                    gravity: 0.004
+                });
+            });
+        const withdraw = new TWEEN.Tween(extractor.position)
+            .to({ x: top.x + INSTRUMENT_APPROACH.x * 1.2, y: top.y + INSTRUMENT_APPROACH.y * 1.2, z: top.z + INSTRUMENT_APPROACH.z * 1.2 }, 600)
+            .delay(300)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .onComplete(() => this.removeInstrument(extractor));
+        
+        descend.chain(press);
+        press.chain(withdraw);
+        descend.start();
+    }
+    
+    // Intralesional injection: the needle goes in at an angle and the plunger pushes a pale
+    // bloom of steroid into the lesion
+    animateInjection(top) {
+        const metal = new THREE.MeshStandardMaterial({ color: INSTRUMENT_COLOR, metalness: 0.9, roughness: 0.3 });
+        const needle = new THREE.Mesh(new THREE.CylinderGeometry(0.006, 0.006, 0.3, 6), metal);
+        needle.position.y = 0.15;
+        const barrel = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.06, 0.06, 0.5, 16),
+            new THREE.MeshStandardMaterial({ color: 0xffffff, transparent: true, opacity: 0.4, roughness: 0.1 })
+        );
+        barrel.position.y = 0.55;
+        const plunger = new THREE.Mesh(
+            new THREE.CylinderGeometry(0.015, 0.015, 0.5, 8),
+            new THREE.MeshStandardMaterial({ color: 0xdddddd, roughness: 0.6 })
+        );
+        plunger.position.y = 0.95;
+        
+        // The syringe group's origin is the needle tip
+        const syringe = this.addInstrument(needle, barrel, plunger);
+        syringe.rotation.x = INSTRUMENT_TILT;
+        const depth = top.clone().add(new THREE.Vector3(0, -0.1, 0));
+        syringe.position.copy(depth).addScaledVector(INSTRUMENT_APPROACH, 0.8);
+        
+        const bloom = new THREE.Mesh(
+            new THREE.SphereGeometry(1, 16, 12),
+            new THREE.MeshBasicMaterial({ color: STEROID_COLOR, transparent: true, opacity: 0.5, depthWrite: false })
+        );
+        bloom.position.copy(depth);
+        bloom.scale.setScalar(0.01);
+        bloom.visible = false;
+        const bloomGroup = this.addInstrument(bloom);
+        
+        const insert = new TWEEN.Tween(syringe.position)
+            .to({ x: depth.x, y: depth.y, z: depth.z }, 800)
+            .easing(TWEEN.Easing.Quadratic.Out)
+            .onComplete(() => { bloom.visible = true; });
+        const inject = new TWEEN.Tween({ progress: 0 })
+            .to({ progress: 1 }, 900)
+            .onUpdate(({ progress }) => {
+                plunger.position.y = 0.95 - 0.35 * progress;
+                bloom.scale.setScalar(0.01 + 0.25 * progress);
+            });
+        const withdraw = new TWEEN.Tween(syringe.position)
+            .to({ x: depth.x + INSTRUMENT_APPROACH.x * 0.8, y: depth.y + INSTRUMENT_APPROACH.y * 0.8, z: depth.z + INSTRUMENT_APPROACH.z * 0.8 }, 500)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .onComplete(() => this.removeInstrument(syringe));
+        const fade = new TWEEN.Tween(bloom.material)
+            .to({ opacity: 0 }, 2000)
+            .onComplete(() => this.removeInstrument(bloomGroup));
+        
+        insert.chain(inject);
+        inject.chain(withdraw, fade);
+        insert.start();
+    }
+    
+    // Incision and drainage: a blade opens the lesion with a short cut and pus oozes out
+    animateDrainage(top) {
+        const handle = new THREE.Mesh(
+            new THREE.BoxGeometry(0.04, 0.5, 0.02),
+            new THREE.MeshStandardMaterial({ color: INSTRUMENT_COLOR, metalness: 0.9, roughness: 0.3 })
+        );
+        handle.position.y = 0.38;
+        const blade = new THREE.Mesh(
+            new THREE.ConeGeometry(0.04, 0.13, 3),
+            new THREE.MeshStandardMaterial({ color: 0xe8ecf0, metalness: 1.0, roughness: 0.15 })
+        );
+        blade.position.y = 0.065;
+        blade.rotation.x = Math.PI; // point down, so the group's origin is the blade tip
+        blade.scale.z = 0.25;
+        
+        const scalpel = this.addInstrument(handle, blade);
+        scalpel.rotation.x = INSTRUMENT_TILT;
+        const start = top.clone().add(new THREE.Vector3(-0.1, 0, 0));
+        scalpel.position.copy(start).addScaledVector(INSTRUMENT_APPROACH, 1.0);
+        
+        // The incision stays visible until the next stage change
+        const incision = new THREE.Mesh(
+            new THREE.BoxGeometry(0.2, 0.012, 0.02),
+            new THREE.MeshBasicMaterial({ color: INCISION_COLOR })
+        );
+        incision.position.copy(top);
+        incision.scale.x = 0.01;
+        this.addInstrument(incision);
+        
+        const approach = new TWEEN.Tween(scalpel.position)
+            .to({ x: start.x, y: start.y, z: start.z }, 700)
+            .easing(TWEEN.Easing.Quadratic.Out);
+        const cut = new TWEEN.Tween(scalpel.position)
+            .to({ x: start.x + 0.2 }, 600)
+            .easing(TWEEN.Easing.Sinusoidal.InOut)
+            .onUpdate(() => {
+                const length = scalpel.position.x - start.x;
+                incision.scale.x = Math.max(0.01, length / 0.2);
+                incision.position.x = start.x + length / 2;
+            });
+        const withdraw = new TWEEN.Tween(scalpel.position)
+            .to({ y: top.y + INSTRUMENT_APPROACH.y, z: top.z + INSTRUMENT_APPROACH.z }, 500)
+            .easing(TWEEN.Easing.Quadratic.In)
+            .onStart(() => {
+                // Pus wells up through the cut in a few slow surges
+                for (let i = 0; i < 4; i++) {
+                    setTimeout(() => this.createRuptureParticles({
+                        origin: top,
+                        count: 20,
+                        color: SQUEEZE_PUS_COLOR,
+                        size: 0.06,
+                        duration: 1200,
+                        upwardVelocity: 0.03,
+                        spreadVelocity: 0.05,
+                        gravity: 0.002
+                    }), i * 350);
+                }
+            })
+            .onComplete(() => this.removeInstrument(scalpel));
+        
+        approach.chain(cut);
+        cut.chain(withdraw);
+        approach.start();
+    }
+    
+    // Add procedure instrument meshes to the scene as one group, tracked as a stage effect
+    addInstrument(...meshes) {
+        const group = new THREE.Group();
+        group.name = 'ProcedureInstrument';
+        meshes.forEach(mesh => group.add(mesh));
+        
+        this.stageSpecificEffects.push(group);
+        this.scene.add(group);
+        return group;
+    }
+    
+    // Remove an instrument once its animation is over, unless a stage change already has
+    removeInstrument(group) {
+        const index = this.stageSpecificEffects.indexOf(group);
+        if (index < 0) return;
+        
+        this.stageSpecificEffects.splice(index, 1);
+        this.scene.remove(group);
+        group.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
     // Animation loop
     animate() {
         requestAnimationFrame(this.animate.bind(this));
@@ -178,6 +745,8 @@ export class AcneVisualization {
             this.controls.update();
         }
         
+        this.updateSqueeze(delta);
+        
         // Rotate model if enabled - only rotate the main model, not clones
         if (this.shouldRotateModel && this.model && this.model.parent === this.scene && this.model === this.scene.getObjectByName("FollicleSystem")) {
             this.model.rotation.y += this.modelRotationSpeed;
@@ -227,12 +796,45 @@ export class AcneVisualization {
             this.updateStageVisuals(state.stage);
         }
         
+        // Plug size follows the keratin/sebum plug level
+        if (this.effectMeshes.sebum && state.plugLevel !== undefined) {
+            const plug = state.plugLevel / 100;
+            this.effectMeshes.sebum.visible = this.showEffects && plug > 0.3;
+            this.effectMeshes.sebum.scale.setScalar(0.5 + plug * 0.7);
+            this.updatePlugTip(state.comedoneType, state.oxidationLevel);
+        }
+        
+        // Skin colour follows the patient's phototype
+        if (state.patient) {
+            this.setSkinColor(state.patient.skinColor);
+        }
+        
+        // A resolved lesion shows its outcome on the scar mesh
+        if (state.outcome) {
+            this.updateScarOutcome(state.outcome);
+        }
+        
+        // The fibrous capsule thickens as fibroblasts wall off the lesion
+        if (this.capsuleMesh && this.capsuleMesh.parent && state.capsuleLevel !== undefined) {
+            const capsule = Math.min(1, state.capsuleLevel / 100);
+            this.capsuleMesh.material.opacity = 0.15 + capsule * 0.6;
+            this.capsuleMesh.scale.setScalar(1.0 + capsule * 0.3);
+        }
+        
+        // Immune cell clusters follow their populations
+        this.updateCellCluster(this.effectMeshes.macrophages, state.macrophageLevel);
+        this.updateCellCluster(this.effectMeshes.ctls, state.ctlLevel);
+        this.updateCellCluster(this.effectMeshes.tregs, state.tregLevel);
+        
+        // Individual bacteria and neutrophils in agent-based mode
+        this.updateAgents(state.agents);
+        
         // Update effect intensities based on simulation values
         if (this.effectMeshes.inflammation && state.inflammationLevel !== undefined) {
+            const inflammation = Math.max(state.inflammationLevel, state.dermalInflammation || 0);
             this.effectMeshes.inflammation.material.opacity = 
-                Math.min(0.8, state.inflammationLevel / 100 * 0.8);
-            this.effectMeshes.inflammation.scale.setScalar(
-                1.0 + (state.inflammationLevel / 100 * 0.5));
+                Math.min(0.8, inflammation / 100 * 0.8);
+            this.shapeInflammationHalo(state.inflammationLevel, state.dermalSpread);
         }
         
         if (this.effectMeshes.pus && state.pusLevel !== undefined) {
@@ -243,6 +845,226 @@ export class AcneVisualization {
         }
     }
 
+    // Stretch RedHalo_Inflammation over the inflamed dermis. The follicle's own inflammation
+    // swells it evenly; dermalSpread (reach per direction, see DermisField.getSpread) pushes
+    // each side out as far as the dermal inflammation has got.
+    shapeInflammationHalo(inflammationLevel, spread) {
+        const mesh = this.effectMeshes.inflammation;
+        const position = mesh.geometry.attributes.position;
+        if (!mesh.userData.restPositions) {
+            mesh.userData.restPositions = position.array.slice();
+        }
+        const rest = mesh.userData.restPositions;
+        const swelling = 1.0 + inflammationLevel / 100 * 0.5;
+        const directions = spread ? spread.length : 0;
+        
+        for (let i = 0; i < position.count; i++) {
+            const x = rest[i * 3];
+            const y = rest[i * 3 + 1];
+            const z = rest[i * 3 + 2];
+            
+            // Reach towards this vertex, interpolated between the two nearest directions
+            let reach = 0;
+            if (directions > 0) {
+                const t = ((Math.atan2(z, x) / (Math.PI * 2)) * directions + directions) % directions;
+                const first = Math.floor(t) % directions;
+                const second = (first + 1) % directions;
+                reach = spread[first] + (spread[second] - spread[first]) * (t - Math.floor(t));
+            }
+            
+            const stretch = swelling * (1 + reach * HALO_SPREAD_SCALE);
+            position.setXYZ(i, x * stretch, y * swelling, z * stretch);
+        }
+        
+        position.needsUpdate = true;
+        mesh.geometry.computeBoundingSphere();
+        mesh.scale.setScalar(1.0);
+    }
+    
+    // Draw the agent-based mode's bacteria and neutrophils (state.agents) inside the follicle,
+    // in place of the static Cloud_Bacteria and Cluster_Neutrophils meshes. Without agents
+    // (aggregate mode, or a scrubbed timeline frame) they are hidden.
+    updateAgents(agents) {
+        if (!agents || !this.follicleMesh || !this.follicleMesh.parent) {
+            if (this.agentMeshes) this.agentMeshes.group.visible = false;
+            return;
+        }
+        if (!this.agentMeshes) {
+            this.createAgentMeshes();
+        }
+        
+        // Follow the follicle as it swells and moves
+        const { group, bacteria, neutrophils } = this.agentMeshes;
+        if (group.parent !== this.follicleMesh.parent) {
+            this.follicleMesh.parent.add(group);
+        }
+        group.position.copy(this.follicleMesh.position);
+        group.quaternion.copy(this.follicleMesh.quaternion);
+        group.scale.copy(this.follicleMesh.scale);
+        group.visible = true;
+        
+        [this.effectMeshes.bacteria, this.effectMeshes.neutrophils].forEach(mesh => {
+            if (mesh) mesh.visible = false;
+        });
+        
+        this.placeAgents(bacteria, this.showBacteria ? agents.bacteria : [], 
+            agent => agent.resistant ? AGENT_COLORS.resistant : AGENT_COLORS.susceptible);
+        this.placeAgents(neutrophils, this.showNeutrophils ? agents.neutrophils : [], 
+            agent => agent.digesting ? AGENT_COLORS.digesting : AGENT_COLORS.neutrophil);
+    }
+    
+    // Instanced meshes for the agents: rod-shaped C. acnes and round neutrophils. They are drawn
+    // over the follicle wall so the cells inside stay visible.
+    createAgentMeshes() {
+        const createMesh = (name, geometry) => {
+            const material = new THREE.MeshStandardMaterial({
+                color: 0xffffff,
+                roughness: 0.6,
+                transparent: true,
+                opacity: 0.9,
+                depthTest: false
+            });
+            const mesh = new THREE.InstancedMesh(geometry, material, MAX_RENDERED_AGENTS);
+            mesh.name = name;
+            mesh.count = 0;
+            mesh.renderOrder = 10;
+            mesh.frustumCulled = false;
+            return mesh;
+        };
+        
+        const group = new THREE.Group();
+        group.name = 'Agents';
+        const bacteria = createMesh('Agents_Bacteria', new THREE.CapsuleGeometry(0.005, 0.014, 2, 6));
+        const neutrophils = createMesh('Agents_Neutrophils', new THREE.SphereGeometry(0.016, 10, 8));
+        group.add(bacteria, neutrophils);
+        
+        this.agentMeshes = { group, bacteria, neutrophils };
+    }
+    
+    // Position instances for agents given in the normalised follicle (radius 1 around y, base
+    // at y = 0, pore at y = 1; see agents.js), mapped onto the follicle mesh's own bounds
+    placeAgents(mesh, agents, colorOf) {
+        const geometry = this.follicleMesh.geometry;
+        if (!geometry.boundingBox) {
+            geometry.computeBoundingBox();
+        }
+        const { min, max } = geometry.boundingBox;
+        const centreX = (min.x + max.x) / 2;
+        const centreZ = (min.z + max.z) / 2;
+        const radius = Math.min(max.x - min.x, max.z - min.z) / 2 * 0.85;
+        const height = (max.y - min.y) * 0.9;
+        const base = min.y + (max.y - min.y) * 0.05;
+        
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        const orientation = new THREE.Euler();
+        const scale = new THREE.Vector3(1, 1, 1);
+        
+        const count = Math.min(agents.length, MAX_RENDERED_AGENTS);
+        for (let i = 0; i < count; i++) {
+            const agent = agents[i];
+            position.set(centreX + agent.x * radius, base + agent.y * height, centreZ + agent.z * radius);
+            // A fixed tilt per instance so the rods don't all line up
+            rotation.setFromEuler(orientation.set(i * 2.4, i * 1.7, 0));
+            mesh.setMatrixAt(i, matrix.compose(position, rotation, scale));
+            mesh.setColorAt(i, colorOf(agent));
+        }
+        
+        mesh.count = count;
+        mesh.instanceMatrix.needsUpdate = true;
+        if (mesh.instanceColor) {
+            mesh.instanceColor.needsUpdate = true;
+        }
+    }
+    
+    // Place and tint the extra follicles of a SkinPatch. states come from SkinPatch.getStates();
+    // the first is the primary follicle, which the rest of the visualization already shows.
+    updateFollicles(states) {
+        if (!this.follicleMesh) return;
+        
+        states.slice(1).forEach((state, i) => {
+            const mesh = this.getPatchFollicleMesh(i, state.position);
+            
+            // A modelled follicle stays where the model has it, so the patch should simulate it there
+            const place = mesh.userData.patchPosition;
+            if (place && this.onFollicleMoved && (place.x !== state.position.x || place.z !== state.position.z)) {
+                this.onFollicleMoved(state.id, place);
+            }
+            const inflammation = Math.min(1, Math.max(0, state.inflammationLevel / 100));
+            const swelling = 1 + inflammation * 0.5 + (state.pusLevel / 100) * 0.3;
+            
+            mesh.visible = true;
+            mesh.material.color.copy(mesh.userData.baseColor).lerp(INFLAMED_FOLLICLE_COLOR, inflammation);
+            mesh.material.emissive.setRGB(inflammation * 0.3, 0, 0);
+            mesh.scale.copy(mesh.userData.baseScale).multiplyScalar(swelling);
+        });
+    }
+    
+    // Mesh for the index-th extra patch follicle: a modelled spare follicle where there is one
+    // (it keeps its modelled place, reported through onFollicleMoved), otherwise a copy of
+    // follicleMesh offset by position
+    getPatchFollicleMesh(index, position) {
+        if (!this.patchFollicleMeshes[index]) {
+            let mesh = this.spareFollicleMeshes[index];
+            if (!mesh) {
+                mesh = this.follicleMesh.clone();
+                mesh.name = `PatchFollicle_${index + 1}`;
+                mesh.material = (this.follicleMesh.userData.originalMaterial || this.follicleMesh.material).clone();
+                mesh.position.copy(this.follicleMesh.userData.originalPosition || this.follicleMesh.position);
+                mesh.position.x += position.x;
+                mesh.position.z += position.z;
+                this.follicleMesh.parent.add(mesh);
+            } else {
+                mesh.userData.patchPosition = this.toFollicleSpace(mesh.getWorldPosition(new THREE.Vector3()));
+            }
+            
+            mesh.userData.baseColor = mesh.material.color.clone();
+            mesh.userData.baseScale = mesh.scale.clone();
+            this.patchFollicleMeshes[index] = mesh;
+        }
+        return this.patchFollicleMeshes[index];
+    }
+    
+    // Darken the exposed tip of an open comedone as it oxidises; a closed one stays a pale whitehead
+    updatePlugTip(comedoneType, oxidationLevel) {
+        const plug = this.effectMeshes.sebum;
+        const tip = plug.userData.oxidisedTip;
+        
+        plug.material.color.setHex(comedoneType === 'closed' ? 0xfffaf0 : 0xffffcc);
+        if (!tip) return;
+        
+        const oxidation = Math.min(1, Math.max(0, (oxidationLevel || 0) / 100));
+        tip.visible = comedoneType === 'open' && oxidation > 0.02;
+        tip.material.color.setHex(0xffffcc).lerp(new THREE.Color(0x1a1208), oxidation);
+        tip.material.opacity = 0.4 + oxidation * 0.6;
+    }
+    
+    // Render a resolution outcome ({ type, severity }) on Mesh_Scar
+    updateScarOutcome(outcome) {
+        const mesh = this.effectMeshes.scar;
+        if (!mesh) return;
+        
+        const appearance = SCAR_APPEARANCE[outcome.type];
+        mesh.visible = Boolean(appearance) && this.showEffects;
+        if (!appearance) return;
+        
+        const size = 0.6 + outcome.severity / 10;
+        mesh.material.color.setHex(appearance.color);
+        mesh.material.opacity = Math.min(1, appearance.opacity * (0.5 + outcome.severity / 10));
+        mesh.scale.set(appearance.scale[0] * size, appearance.scale[1] * size, appearance.scale[2] * size);
+    }
+
+    // Show a cell cluster mesh sized and faded by its population level (0-100)
+    updateCellCluster(mesh, level) {
+        if (!mesh || level === undefined) return;
+        
+        const amount = Math.min(1, Math.max(0, level / 100));
+        mesh.visible = this.showEffects && amount > 0.05;
+        mesh.scale.setScalar(0.6 + amount * 0.8);
+        mesh.material.opacity = Math.min(0.9, 0.2 + amount * 0.7);
+    }
+
     // Load all required models
     createSkinModel() {
         try {
@@ -337,6 +1159,9 @@ export class AcneVisualization {
     // Process the follicle system model
     processFolicleModel(gltf) {
         this.model = gltf.scene;
+        this.spareFollicleMeshes = [];
+        this.patchFollicleMeshes = [];
+        this.skinSurfaces = [];
         this.model.scale.set(1, 1, 1);
         this.model.position.set(0, 0, 0);
         
@@ -356,9 +1181,10 @@ export class AcneVisualization {
                 }
                 else if (child.name.includes('Skin')) {
                     this.skinMesh = child;
+                    this.skinSurfaces.push(child);
                     child.material.roughness = 0.8;
                     child.material.metalness = 0.1;
-                    child.material.color.setHex(0xffdddd);
+                    child.material.color.copy(this.skinColor);
                 }
                 else if (child.name.includes('Hair')) {
                     this.hairMeshes.push(child);
@@ -372,9 +1198,31 @@ export class AcneVisualization {
         this.scene.add(this.model);
     }
 
+    // Cap the outer end of Plug_Sebum with a small disc that darkens as an open comedone oxidises
+    addOxidisedTip(plug) {
+        plug.geometry.computeBoundingBox();
+        const box = plug.geometry.boundingBox;
+        const size = box.getSize(new THREE.Vector3());
+        const radius = Math.max(size.x, size.z) * 0.35;
+        
+        const tip = new THREE.Mesh(
+            new THREE.SphereGeometry(radius, 16, 8, 0, Math.PI * 2, 0, Math.PI / 2),
+            new THREE.MeshStandardMaterial({ color: 0xffffcc, roughness: 0.9, transparent: true, opacity: 0.4 })
+        );
+        tip.name = 'OxidisedTip';
+        tip.scale.y = 0.4;
+        tip.position.set((box.min.x + box.max.x) / 2, box.max.y, (box.min.z + box.max.z) / 2);
+        tip.visible = false;
+        
+        plug.add(tip);
+        plug.userData.oxidisedTip = tip;
+    }
+
     // Process the condition model with animations
     processConditionModel(gltf) {
         console.log('Processing condition model...');
+        this.spareFollicleMeshes = [];
+        this.patchFollicleMeshes = [];
         
         try {
             // Store condition meshes
@@ -396,6 +1244,7 @@ export class AcneVisualization {
                         child.material.opacity = 0.6;
                         child.material.color.setHex(0xffffcc);
                         child.visible = false;
+                        this.addOxidisedTip(child);
                     }
                     else if (child.name.includes('Cloud_Bacteria')) {
                         this.effectMeshes.bacteria = child;
@@ -459,11 +1308,14 @@ export class AcneVisualization {
                     }
                     else if (child.name.includes('SkinLayer_')) {
                         // Handle skin layers
+                        if (!this.skinSurfaces.includes(child)) {
+                            this.skinSurfaces.push(child);
+                        }
                         if (child.name.includes('Epidermis')) {
                             this.skinMesh = child;
                             child.material.transparent = true;
                             child.material.opacity = 0.9;
-                            child.material.color.setHex(0xffdddd);
+                            child.material.color.copy(this.skinColor);
                         } else if (child.name.includes('Dermis')) {
                             child.material.color.setHex(0xffcccc);
                         }
@@ -474,6 +1326,8 @@ export class AcneVisualization {
                         // Handle follicles
                         if (child.name.includes('Left')) {
                             this.follicleMesh = child;
+                        } else {
+                            this.spareFollicleMeshes.push(child);
                         }
                         child.material.roughness = 0.7;
                         child.material.metalness = 0.2;
@@ -505,6 +1359,9 @@ export class AcneVisualization {
                 console.log('Updating stage visuals after model processing');
                 this.updateStageVisuals(this.currentStage);
             }
+            
+            // Topical coverage painted before the models arrived
+            this.updateCoverage(this.coverageMask);
         } catch (error) {
             console.error('Error processing condition model:', error);
             this.showError(`Error processing condition model: ${error.message}`);
@@ -647,7 +1504,7 @@ export class AcneVisualization {
                 case 'resolved':
                     // Return to normal state
                     if (this.skinMesh && this.skinMesh.userData.originalMaterial) {
-                        this.skinMesh.material.color.copy(this.skinMesh.userData.originalMaterial.color);
+                        this.skinMesh.material.color.copy(this.skinColor);
                         this.skinMesh.material.emissive.setHex(0x000000);
                         this.skinMesh.material.opacity = this.skinMesh.userData.originalMaterial.opacity;
                     }
@@ -666,6 +1523,14 @@ export class AcneVisualization {
                     this.updateWorseningVisuals();
                     break;
                     
+                case 'nodule':
+                    this.updateNoduleVisuals();
+                    break;
+                    
+                case 'cyst':
+                    this.updateCystVisuals();
+                    break;
+                    
                 default:
                     console.warn('Unknown stage:', stage);
             }
@@ -676,6 +1541,27 @@ export class AcneVisualization {
         }
     }
 
+    // Use a patient's skin colour (see PHOTOTYPES in patient.js), redrawing the current stage with it
+    setSkinColor(hex) {
+        if (hex === this.skinColorHex) return;
+        
+        this.skinColorHex = hex;
+        this.skinColor.setHex(hex);
+        if (this.model && this.skinMesh) {
+            this.updateStageVisuals(this.currentStage);
+        }
+    }
+    
+    // A colour picked for the reference skin, shifted to the patient's skin colour
+    // (redness reads as darker, browner tones on darker skin)
+    skinTone(color) {
+        const tone = new THREE.Color(color);
+        tone.r *= this.skinColor.r / REFERENCE_SKIN_COLOR.r;
+        tone.g *= this.skinColor.g / REFERENCE_SKIN_COLOR.g;
+        tone.b *= this.skinColor.b / REFERENCE_SKIN_COLOR.b;
+        return tone;
+    }
+
     // Reset all effects before transitioning to new stage
     resetEffects() {
         console.log("Resetting effects..."); // Debug log
@@ -704,7 +1590,7 @@ export class AcneVisualization {
         
         // Reset skin mesh
         if (this.skinMesh && this.skinMesh.userData.originalMaterial) {
-            this.skinMesh.material.color.copy(this.skinMesh.userData.originalMaterial.color);
+            this.skinMesh.material.color.copy(this.skinColor);
             this.skinMesh.material.emissive.setHex(0x000000);
             this.skinMesh.material.roughness = this.skinMesh.userData.originalMaterial.roughness;
             this.skinMesh.material.metalness = this.skinMesh.userData.originalMaterial.metalness;
@@ -719,7 +1605,7 @@ export class AcneVisualization {
             }
         } else if (this.skinMesh) {
              // Fallback reset if original material wasn't stored
-            this.skinMesh.material.color.setHex(0xffdddd);
+            this.skinMesh.material.color.copy(this.skinColor);
             this.skinMesh.material.emissive.setHex(0x000000);
         }
         
@@ -852,6 +1738,32 @@ export class AcneVisualization {
             .start();
     }
 
+    // Snapshot of what the viewer is looking at, for saving alongside the simulation
+    getViewState() {
+        const view = { stage: this.currentStage };
+        if (this.camera && this.controls) {
+            const { position } = this.camera;
+            const { target } = this.controls;
+            view.camera = {
+                position: { x: position.x, y: position.y, z: position.z },
+                target: { x: target.x, y: target.y, z: target.z }
+            };
+        }
+        return view;
+    }
+    
+    // Restore a getViewState() snapshot
+    restoreViewState(view) {
+        if (!view) return;
+        
+        if (view.stage && view.stage !== this.currentStage) {
+            this.updateStageVisuals(view.stage);
+        }
+        if (view.camera && view.camera.position && view.camera.target) {
+            this.setCameraPosition(view.camera.position, view.camera.target);
+        }
+    }
+
     // Create labels for different stages
     createStageLabels() {
         // Remove any existing labels
@@ -864,16 +1776,8 @@ export class AcneVisualization {
         // Initialize stageLabels object
         this.stageLabels = {};
         
-        // Define stages in correct order
-        const stages = [
-            { id: 'incubation', name: 'Incubation' },
-            { id: 'comedone', name: 'Comedone' },
-            { id: 'papule', name: 'Papule' },
-            { id: 'pustule', name: 'Pustule' },
-            { id: 'rupture', name: 'Rupture' },
-            { id: 'healing', name: 'Healing' },
-            { id: 'worsening', name: 'Worsening' }
-        ];
+        // Stages in pathway order, from the stage graph
+        const stages = STAGE_ORDER.map(id => ({ id, name: STAGE_GRAPH[id].label }));
         
         // Create container for labels if it doesn't exist
         let labelContainer = document.getElementById('stageLabelsContainer');
@@ -941,8 +1845,8 @@ export class AcneVisualization {
                 .onUpdate(() => {
                     if (this.skinMesh) {
                         this.skinMesh.material.color.lerpColors(
-                            new THREE.Color(0xffdddd), // Base skin color
-                            new THREE.Color(0xffd0d0), // Slightly pinker
+                            this.skinColor, // Base skin color
+                            this.skinTone(0xffd0d0), // Slightly pinker
                             skinColorPulse.value
                         );
                     }
@@ -1017,7 +1921,7 @@ export class AcneVisualization {
         if (this.skinMesh) {
             // Slight darkening/reddening
             new TWEEN.Tween(this.skinMesh.material.color)
-                .to({ r: 0.95, g: 0.8, b: 0.8 }, 500) // Target color ffd0d0
+                .to(rgb(this.skinTone(new THREE.Color(0.95, 0.8, 0.8))), 500) // Target color ffd0d0
                 .easing(TWEEN.Easing.Quadratic.Out)
                 .start();
         }
@@ -1052,7 +1956,7 @@ export class AcneVisualization {
         if (this.skinMesh) {
             // More pronounced redness
             new TWEEN.Tween(this.skinMesh.material.color)
-                .to({ r: 1.0, g: 0.5, b: 0.5 }, 400) // Brighter red ff8080
+                .to(rgb(this.skinTone(new THREE.Color(1.0, 0.5, 0.5))), 400) // Brighter red ff8080
                 .easing(TWEEN.Easing.Quadratic.Out)
                 .start();
              // Stronger pulsing emissive glow
@@ -1139,7 +2043,7 @@ export class AcneVisualization {
             this.effectMeshes.pus.position.y = 0.05; // Slightly raised
         }
         if (this.skinMesh) {
-            this.skinMesh.material.color.setHex(0xff7755); // More inflamed color
+            this.skinMesh.material.color.copy(this.skinTone(0xff7755)); // More inflamed color
             this.skinMesh.material.emissive.setHex(0x441100); // Higher base emissive
         }
         if (this.follicleMesh) {
@@ -1212,7 +2116,7 @@ export class AcneVisualization {
         console.log("Applying Rupture visuals - Enhanced Intensity");
         // Setup initial state
         if (this.skinMesh) {
-            this.skinMesh.material.color.setHex(0xcc0000); // Deep angry red
+            this.skinMesh.material.color.copy(this.skinTone(0xcc0000)); // Deep angry red
             this.skinMesh.material.emissive.setHex(0x550000); // Strongest emissive
         }
         if (this.follicleMesh) {
@@ -1314,7 +2218,7 @@ export class AcneVisualization {
         console.log("Applying Healing visuals - Reinstated");
         // Setup initial state (less intense than rupture)
         if (this.skinMesh) {
-            this.skinMesh.material.color.setHex(0xffaaaa); // Start pinkish from rupture
+            this.skinMesh.material.color.copy(this.skinTone(0xffaaaa)); // Start pinkish from rupture
             this.skinMesh.material.emissive.setHex(0x110000); // Still slightly emissive
         }
         if (this.follicleMesh) {
@@ -1333,9 +2237,7 @@ export class AcneVisualization {
         if (this.skinMesh && this.skinMesh.userData.originalMaterial) {
             // Gradual color transition back to normal
             new TWEEN.Tween(this.skinMesh.material.color)
-                .to({ r: this.skinMesh.userData.originalMaterial.color.r,
-                      g: this.skinMesh.userData.originalMaterial.color.g,
-                      b: this.skinMesh.userData.originalMaterial.color.b }, 3500)
+                .to(rgb(this.skinColor), 3500)
                 .easing(TWEEN.Easing.Quadratic.InOut)
                 .start();
             // Fade out emissive completely
@@ -1396,7 +2298,7 @@ export class AcneVisualization {
         
         // Intensify inflammation and damage
         if (this.skinMesh) {
-            this.skinMesh.material.color.setHex(0xbb0000); // Deep angry red
+            this.skinMesh.material.color.copy(this.skinTone(0xbb0000)); // Deep angry red
             this.skinMesh.material.emissive.setHex(0x660000); // Strong emissive
             
             // Intense pulsing
@@ -1533,6 +2435,113 @@ export class AcneVisualization {
         }
     }
 
+    // Deep, firm swelling below the follicle: inflammation spreads wide but stays under the surface
+    updateNoduleVisuals() {
+        console.log("Applying Nodule visuals");
+        
+        if (this.skinMesh) {
+            this.skinMesh.material.color.copy(this.skinTone(0xcc5555)); // Dusky red
+            this.skinMesh.material.emissive.setHex(0x330000);
+        }
+        
+        if (this.follicleMesh) {
+            this.follicleMesh.material.color.setHex(0x993333);
+            this.follicleMesh.material.emissive.setHex(0x220000);
+            this.follicleMesh.scale.set(2.0, 1.6, 2.0); // Broad, deep swelling
+            
+            // Slow, heavy throbbing
+            new TWEEN.Tween(this.follicleMesh.scale)
+                .to({ x: 2.2, y: 1.7, z: 2.2 }, 1400)
+                .easing(TWEEN.Easing.Sinusoidal.InOut)
+                .yoyo(true)
+                .repeat(Infinity)
+                .start();
+        }
+        
+        if (this.effectMeshes.inflammation) {
+            this.effectMeshes.inflammation.visible = true;
+            this.effectMeshes.inflammation.material.opacity = 0.7;
+            this.effectMeshes.inflammation.material.color.setHex(0xcc2222);
+            this.effectMeshes.inflammation.scale.set(2.4, 2.4, 2.4);
+        }
+        
+        // Deep abscess
+        if (this.effectMeshes.pus) {
+            this.effectMeshes.pus.visible = true;
+            this.effectMeshes.pus.material.color.setHex(0xeedd99);
+            this.effectMeshes.pus.scale.set(1.4, 1.4, 1.4);
+        }
+        
+        this.createPulsingVeins({
+            count: 20,
+            color: 0x990000,
+            opacity: 0.6,
+            thickness: 0.05,
+            pulseScale: 1.5,
+            pulseDuration: 1200,
+            areaRadius: 2.2,
+            verticalSpread: 1.2
+        });
+        
+        // Fibroblasts start laying down the capsule
+        this.createCapsule();
+    }
+
+    // A walled-off, pus-filled cavity: the capsule hides it from the immune system so the surface calms down
+    updateCystVisuals() {
+        console.log("Applying Cyst visuals");
+        
+        if (this.skinMesh) {
+            this.skinMesh.material.color.copy(this.skinTone(0xdd9999)); // Muted pink over the cyst
+            this.skinMesh.material.emissive.setHex(0x110000);
+        }
+        
+        if (this.follicleMesh) {
+            this.follicleMesh.material.color.setHex(0xaa7766);
+            this.follicleMesh.material.emissive.setHex(0x000000);
+            this.follicleMesh.scale.set(1.8, 1.5, 1.8); // Firm, rounded
+        }
+        
+        if (this.effectMeshes.inflammation) {
+            this.effectMeshes.inflammation.visible = true;
+            this.effectMeshes.inflammation.material.color.setHex(0xdd6666);
+            this.effectMeshes.inflammation.scale.set(1.6, 1.6, 1.6);
+        }
+        
+        if (this.effectMeshes.pus) {
+            this.effectMeshes.pus.visible = true;
+            this.effectMeshes.pus.material.color.setHex(0xeedd99);
+            this.effectMeshes.pus.material.emissive.setHex(0x222200);
+            this.effectMeshes.pus.scale.set(1.6, 1.6, 1.6);
+        }
+        
+        this.createCapsule();
+    }
+
+    // Translucent fibrous shell around the lesion; update() thickens it with the capsule level
+    createCapsule() {
+        const geometry = new THREE.SphereGeometry(0.9, 32, 16);
+        const material = new THREE.MeshStandardMaterial({
+            color: 0xeeddcc, // Pale fibrous tissue
+            roughness: 0.8,
+            transparent: true,
+            opacity: 0.3,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        });
+        
+        this.capsuleMesh = new THREE.Mesh(geometry, material);
+        this.capsuleMesh.name = "FibrousCapsule";
+        this.capsuleMesh.scale.y = 0.8;
+        if (this.follicleMesh) {
+            this.follicleMesh.getWorldPosition(this.capsuleMesh.position);
+            this.capsuleMesh.position.y -= 0.3;
+        }
+        
+        this.stageSpecificEffects.push(this.capsuleMesh); // Track for removal
+        this.scene.add(this.capsuleMesh);
+    }
+
     // --- Helper function to create pulsing veins ---
     createPulsingVeins(options = {}) {
         const {
@@ -1612,7 +2621,8 @@ export class AcneVisualization {
             burstRadius = 1.2,
             upwardVelocity = 2.5,  // Increased upward velocity
             spreadVelocity = 0.8,  // Reduced spread velocity
-            gravity = 0.15  // Increased gravity to compensate for higher upward velocity
+            gravity = 0.15,  // Increased gravity to compensate for higher upward velocity
+            origin = null  // Point the burst starts from (default: the follicle opening)
         } = options;
 
         const particles = new THREE.Group();
@@ -1629,7 +2639,11 @@ export class AcneVisualization {
             const particle = new THREE.Mesh(geometry, material);
             
             // Initial position - start at rupture point
-            particle.position.set(0, 0.1, 0);
+            if (origin) {
+                particle.position.copy(origin);
+            } else {
+                particle.position.set(0, 0.1, 0);
+            }
             
             // Initial velocity - more upward focused
             const angle = Math.random() * Math.PI * 2;
@@ -1673,4 +2687,9 @@ export class AcneVisualization {
         
         animate();
     }
-}
\ No newline at end of file
+}
+
+// Plain { r, g, b } of a colour, for tweening a material colour towards it
+function rgb(color) {
+    return { r: color.r, g: color.g, b: color.b };
+}